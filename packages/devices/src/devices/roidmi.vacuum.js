@@ -166,7 +166,7 @@ export default class RoidmiVacuum extends Device {
 			obj_name,
 			did: this.config.id
 		});
-		if ((response.code !== 0) || !response.result?.url)
+		if (!response.result?.url)
 			throw new Error(`Failed to get file URL: ${response.message || 'Unknown error'}`);
 		this.client.log('info', `Successfully got file URL for: ${obj_name}`);
 		return response.result.url;
@@ -192,8 +192,8 @@ export default class YunmiKettle extends Device {
 	};
 
 	/** @override */
-	async connect() {
-		await super.connect('bluetooth');
+	async connect(connectionType, options) {
+		await super.connect('bluetooth', options);
 	};
 
 	/** @override */
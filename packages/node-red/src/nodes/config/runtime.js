@@ -1,7 +1,7 @@
 import XiaomiMiHome from 'xmihome';
 import { CACHE_TTL } from 'xmihome/constants.js';
 /** @import { Credentials } from 'xmihome' */
-/** @import { default as Device, Config as DeviceConfig } from 'xmihome/device.js' */
+/** @import { default as Device, DiscoveredDevice } from 'xmihome/device.js' */
 /** @import { Node, NodeAPI, NodeDef } from 'node-red' */
 /** @import { Request, Response } from 'express' */
 /** @import { DeviceNode } from '../device/runtime.js' */
@@ -10,7 +10,7 @@ import { CACHE_TTL } from 'xmihome/constants.js';
  * Глобальный Map для отслеживания активных процессов обновления списка устройств.
  * Предотвращает одновременный запуск нескольких обновлений для одного и того же узла.
  * Ключ - ID узла (string), значение - Promise, который разрешается в массив устройств.
- * @type {Map<string, Promise<DeviceConfig[]>>}
+ * @type {Map<string, Promise<DiscoveredDevice[]>>}
  */
 const refreshPromises = new Map();
 
@@ -28,6 +28,7 @@ const authSessions = new Map();
  *   debug: boolean;
  *   credentialsFile: string;
  *   connectionType: ('auto'|'cloud'|'miio'|'bluetooth');
+ *   addresses: string;
  * }} Config
  */
 /** @typedef {NodeDef & Config} ConfigDef */
@@ -91,7 +92,7 @@ export class ConfigNode {
 	/**
 	 * Кеш списка устройств для предотвращения частых запросов к API.
 	 * @type {{
-	 *   devices: DeviceConfig[];
+	 *   devices: DiscoveredDevice[];
 	 *   timestamp: number;
 	 *   error: string|null;
 	 * }}
@@ -126,16 +127,31 @@ export class ConfigNode {
 	 * @returns {XiaomiMiHome}
 	 */
 	get client() {
-		if (!this.#client)
+		if (!this.#client) {
 			this.#client = new XiaomiMiHome({
 				credentials: this.#node.credentials,
 				credentialsFile: this.#config.credentialsFile,
 				connectionType: this.#config.connectionType === 'auto' ? null : this.#config.connectionType,
 				logLevel: this.#config.debug ? 'debug' : 'none'
 			});
+			this.#client.on('login', this.#onLogin.bind(this));
+		}
 		return this.#client;
 	};
 
+	/**
+	 * Сохраняет обновленные токены после автоматического повторного входа.
+	 * @param {Credentials} credentials
+	 */
+	#onLogin({ userId, ssecurity, serviceToken, passToken, accessToken, refreshToken, accessTokenExpires }) {
+		this.#node.log('Cloud session refreshed, storing new tokens.');
+		this.#RED.nodes.addCredentials(this.#node.id, {
+			...this.#node.credentials,
+			userId, ssecurity, serviceToken, passToken,
+			...(accessToken && { accessToken, refreshToken, accessTokenExpires })
+		});
+	};
+
 	/**
 	 * @param {boolean} force
 	 * @param {number} timeout
@@ -154,8 +170,10 @@ export class ConfigNode {
 		this.deviceCache.error = null;
 		const refreshPromise = (async () => {
 			try {
+				const addresses = this.#config.addresses?.split(/[\s,]+/).filter(Boolean);
 				const devices = await this.client.getDevices({
-					...(timeout && { timeout })
+					...(timeout && { timeout }),
+					...(addresses?.length && { addresses })
 				});
 				this.deviceCache.devices = devices || [];
 				this.deviceCache.timestamp = Date.now();
@@ -355,7 +373,11 @@ export default function (RED) {
 			country: { type: 'text' },
 			userId: { type: 'text' },
 			ssecurity: { type: 'text' },
-			serviceToken: { type: 'text' }
+			serviceToken: { type: 'text' },
+			passToken: { type: 'password' },
+			accessToken: { type: 'password' },
+			refreshToken: { type: 'password' },
+			accessTokenExpires: { type: 'text' }
 		}
 	});
 };
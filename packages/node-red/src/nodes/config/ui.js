@@ -53,6 +53,7 @@ RED.nodes.registerType('xmihome-config', {
 		credentialsFile: { value: '' },
 		debug: { value: false },
 		connectionType: { value: 'auto' },
+		addresses: { value: '' },
 		credentialsValid: {
 			value: true,
 			validate
@@ -70,7 +71,11 @@ RED.nodes.registerType('xmihome-config', {
 		country: { type: 'text' },
 		userId: { type: 'text' },
 		ssecurity: { type: 'text' },
-		serviceToken: { type: 'text' }
+		serviceToken: { type: 'text' },
+		passToken: { type: 'password' },
+		accessToken: { type: 'password' },
+		refreshToken: { type: 'password' },
+		accessTokenExpires: { type: 'text' }
 	},
 	label: function () {
 		return this.name || 'XiaomiMiHome';
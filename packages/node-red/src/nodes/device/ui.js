@@ -98,7 +98,10 @@ function devicesDropdown(/** @type {Device[]} */ devices) {
 function deviceParse(/** @type {string} */ input) {
 	const /** @type {Device} */ device = JSON.parse(input || $('#node-input-device').typedInput('value') || '{}');
 	$('.device-config input').val('');
-	Object.entries(device).forEach(([key, value]) => $("#node-input-device-" + key).val(value));
+	Object.entries(device).forEach(([key, value]) => {
+		if (typeof value === 'string' || typeof value === 'number')
+			$("#node-input-device-" + key).val(value);
+	});
 	onchangeidtype(null, device);
 	return device;
 };
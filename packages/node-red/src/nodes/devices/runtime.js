@@ -1,10 +1,13 @@
 /** @import { Node, NodeAPI, NodeDef, NodeMessage } from 'node-red' */
 /** @import { NodeInstance as ConfigNodeInstance, ConfigNode } from '../config/runtime.js' */
+/** @import { Place } from 'xmihome/device.js' */
 
 /**
  * @typedef {{
  *   settings: string;
  *   timeout: number;
+ *   home: string;
+ *   room: string;
  * }} Config
  */
 /** @typedef {NodeDef & Config} ConfigDef */
@@ -60,7 +63,8 @@ export class DevicesNode {
 			if (!this.settings)
 				throw new Error('Client is not initialized. Check configuration.');
 			this.#node.status({ fill: 'blue', shape: 'dot', text: 'Refreshing...' });
-			msg.payload = await this.settings.getDevices(true, this.#config.timeout);
+			const devices = await this.settings.getDevices(true, this.#config.timeout);
+			msg.payload = devices.filter(device => this.#matches(device.home, this.#config.home) && this.#matches(device.room, this.#config.room));
 			if (Array.isArray(msg.payload) && msg.payload.length > 0)
 				this.#node.status({ fill: 'green', shape: 'dot', text: `Devices: ${msg.payload.length}` });
 			else
@@ -73,6 +77,17 @@ export class DevicesNode {
 			done(err);
 		}
 	};
+
+	/**
+	 * Проверяет, соответствует ли дом или комната устройства фильтру из настроек узла.
+	 * @param {Place} [place] Дом или комната устройства.
+	 * @param {string} [filter] ID или название; пустое значение пропускает все устройства.
+	 * @returns {boolean}
+	 */
+	#matches(place, filter) {
+		filter = filter?.trim();
+		return !filter || (!!place && [String(place.id), place.name].includes(filter));
+	};
 };
 
 /**
@@ -9,7 +9,9 @@ RED.nodes.registerType('xmihome-devices', {
 	/** @type {EditorNodePropertiesDef<ConfigDef>} */ defaults: {
 		settings: { value: null, required: true, type: 'xmihome-config' },
 		name: { value: '' },
-		timeout: { value: null }
+		timeout: { value: null },
+		home: { value: '' },
+		room: { value: '' }
 	},
 	icon: 'font-awesome/fa-list',
 	inputs: 1,
@@ -5,8 +5,8 @@ import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { mkdir, readFile, writeFile, unlink } from 'fs/promises';
 import path from 'path';
-import XiaomiMiHome from '../src/index.js';
-import { CREDENTIALS_FILE, DEVICE_CACHE_FILE, CLOUD_DEVICE_LIST_FILE, CONFIG_DIR } from '../src/paths.js';
+import XiaomiMiHome, { Miot, Registry } from '../src/index.js';
+import { CREDENTIALS_FILE, DEVICE_CACHE_FILE, DEVICE_REGISTRY_FILE, CONFIG_DIR } from '../src/paths.js';
 import { COUNTRIES, CACHE_TTL } from '../src/constants.js';
 /** @import { Credentials } from '../src/index.js' */
 /** @import { DiscoveredDevice } from '../src/device.js' */
@@ -18,14 +18,28 @@ const CONNECTION_TYPES = /** @type {const} */ (['all', 'miio', 'bluetooth', 'clo
  * @typedef {object} LoginCommandArgs
  * @property {string} [username]
  * @property {string} [password]
- * @property {typeof COUNTRIES[number]} [country]
+ * @property {typeof COUNTRIES[number]|'auto'} [country]
  * @property {boolean} [verbose]
  */
 
+/**
+ * @typedef {object} SpecsCommandArgs
+ * @property {boolean} [refresh]
+ * @property {string} [import]
+ * @property {string} [model]
+ */
+
+/**
+ * @typedef {object} RenameCommandArgs
+ * @property {string} device
+ * @property {string} [name]
+ */
+
 /**
  * @typedef {object} DevicesCommandArgs
  * @property {typeof CONNECTION_TYPES[number]} [type]
  * @property {boolean} [force]
+ * @property {string[]} [address]
  * @property {boolean} [verbose]
  */
 
@@ -53,7 +67,6 @@ const writeJsonFile = async (/** @type {string} */ filePath, /** @type {object}
 
 const loadCredentials = () => readJsonFile(CREDENTIALS_FILE);
 const saveCredentials = (/** @type {Credentials} */ credentials) => writeJsonFile(CREDENTIALS_FILE, credentials);
-const loadCloudDeviceList = () => readJsonFile(CLOUD_DEVICE_LIST_FILE);
 
 const loadDeviceCache = async (/** @type {string} */ type) => {
 	const cache = await readJsonFile(DEVICE_CACHE_FILE);
@@ -110,7 +123,7 @@ const handleLoginCommand = async (/** @type {LoginCommandArgs} */ argv) => {
 		if (!argv.country)
 			argv.country = await select({
 				message: 'Country Code',
-				choices: COUNTRIES
+				choices: [...COUNTRIES, 'auto']
 			});
 	} catch (err) {
 		console.error(err.message);
@@ -157,15 +170,14 @@ const handleLoginCommand = async (/** @type {LoginCommandArgs} */ argv) => {
 };
 
 const handleDevicesCommand = async (/** @type {DevicesCommandArgs} */ argv) => {
-	const { force, type, verbose } = argv;
+	const { force, type, address, verbose } = argv;
 	const logLevel = verbose ? 'debug' : 'none';
 	let credentials = await loadCredentials();
-	const devices = await loadCloudDeviceList() || [];
 	if ((type === 'cloud' || type === 'all') && !credentials) {
 		console.log('Cloud device list requires authentication.');
 		credentials = await handleLoginCommand({ verbose });
 	}
-	if (!force) {
+	if (!force && !address?.length) {
 		const cachedDevices = await loadDeviceCache(type);
 		if (cachedDevices) {
 			console.log(`Displaying cached device list for type "${type}" (use --force to refresh).`);
@@ -174,29 +186,29 @@ const handleDevicesCommand = async (/** @type {DevicesCommandArgs} */ argv) => {
 		}
 	}
 	console.log(`Searching for devices (type: ${type})... This may take a moment.`);
-	const client = new XiaomiMiHome({ credentials, devices, logLevel });
+	const client = new XiaomiMiHome({ credentials, logLevel });
+	client.on('login', async (/** @type {Credentials} */ tokens) => {
+		try {
+			await saveCredentials(tokens);
+			if (verbose)
+				console.log(`Session refreshed, credentials saved to ${CREDENTIALS_FILE}`);
+		} catch (error) {
+			console.error(`❌ Session refreshed, but credentials could not be saved to ${CREDENTIALS_FILE}: ${error.message}`);
+		}
+	});
 	try {
-		let finalDevices = [], cloudDevices = [], localDevices = [];
+		let finalDevices = [];
+		const startedAt = Date.now();
 		const searchCloud = type === 'cloud' || type === 'all';
 		const searchLocal = type === 'miio' || type === 'bluetooth' || type === 'all';
-		if (searchCloud) {
-			cloudDevices = await client.getDevices({ connectionType: 'cloud' });
-			await writeJsonFile(CLOUD_DEVICE_LIST_FILE, cloudDevices);
-		}
+		if (searchCloud)
+			finalDevices = await client.getDevices({ connectionType: 'cloud' });
 		if (searchLocal) {
 			const localSearchType = type === 'all' ? 'miio+bluetooth' : type;
-			localDevices = await client.getDevices({ connectionType: localSearchType });
+			finalDevices = await client.getDevices({ connectionType: localSearchType, addresses: address });
 		}
-		if (type === 'all') {
-			const deviceMap = new Map();
-			[...cloudDevices, ...localDevices].forEach(d => {
-				const key = d.mac || d.address || d.id;
-				if (key)
-					deviceMap.set(key, { ...(deviceMap.get(key) || {}), ...d });
-			});
-			finalDevices = Array.from(deviceMap.values());
-		} else
-			finalDevices = type === 'cloud' ? cloudDevices : localDevices;
+		if (type === 'all')
+			finalDevices = client.registry.list({ since: startedAt }).map(Registry.toConfig);
 		await saveDeviceCache(finalDevices, type);
 		formatTable(finalDevices);
 	} catch (error) {
@@ -207,6 +219,49 @@ const handleDevicesCommand = async (/** @type {DevicesCommandArgs} */ argv) => {
 	}
 };
 
+const handleRenameCommand = async (/** @type {RenameCommandArgs} */ argv) => {
+	const client = new XiaomiMiHome({});
+	try {
+		await client.registry.load();
+		const entry = client.registry.setName(argv.device, argv.name);
+		await client.registry.save();
+		await unlink(DEVICE_CACHE_FILE).catch(() => {});
+		if (argv.name)
+			console.log(`✅ Device ${entry.id || entry.mac || entry.address} renamed to "${argv.name}"`);
+		else
+			console.log(`✅ Custom name removed from device ${entry.id || entry.mac || entry.address}`);
+	} catch (error) {
+		console.error(`\n❌ ${error.message}. Known devices are stored in ${DEVICE_REGISTRY_FILE}; run "devices" to discover them.`);
+		process.exit(1);
+	}
+};
+
+const handleSpecsCommand = async (/** @type {SpecsCommandArgs} */ argv) => {
+	try {
+		if (argv.import) {
+			const spec = await Miot.importSpec(argv.import, argv.model);
+			console.log(`✅ Spec "${spec.name}" imported to ${Miot.specCacheDir}`);
+		} else if (argv.refresh) {
+			console.log('Refreshing cached MIoT specs...');
+			const models = await Miot.refreshSpecs();
+			console.log(`✅ Catalogue refreshed, ${models.length} cached spec(s) updated.`);
+		} else if (argv.model) {
+			const spec = await Miot.findModel(argv.model);
+			if (!spec) {
+				console.error(`Spec for model "${argv.model}" not found.`);
+				process.exit(1);
+			}
+			console.log(JSON.stringify(spec, null, 2));
+		} else {
+			console.error('Specify --model, --import or --refresh.');
+			process.exit(1);
+		}
+	} catch (error) {
+		console.error(`\n❌ Spec cache error: ${error.message}`);
+		process.exit(1);
+	}
+};
+
 yargs(hideBin(process.argv))
 	.command(
 		'login',
@@ -225,8 +280,8 @@ yargs(hideBin(process.argv))
 				})
 				.option('country', {
 					alias: 'c',
-					description: 'Xiaomi account country code',
-					choices: COUNTRIES
+					description: 'Xiaomi account country code (auto searches all regions)',
+					choices: [...COUNTRIES, 'auto']
 				});
 		},
 		async (/** @type {ArgumentsCamelCase<LoginCommandArgs>} */ argv) => {
@@ -247,12 +302,61 @@ yargs(hideBin(process.argv))
 					type: 'boolean',
 					description: 'Force a new discovery, ignoring the cache',
 					default: false
+				})
+				.option('address', {
+					alias: 'a',
+					type: 'array',
+					string: true,
+					description: 'IP address or CIDR range to probe directly with MiIO hello packets (repeatable, implies --force)'
 				});
 		},
 		async (/** @type {ArgumentsCamelCase<DevicesCommandArgs>} */ argv) => {
 			await handleDevicesCommand(argv)
 		}
 	)
+	.command(
+		'rename <device> [name]',
+		'Assign a custom name to a known device (omit the name to remove it).',
+		(yargs) => {
+			return yargs
+				.positional('device', {
+					type: 'string',
+					description: 'Device ID, MAC address, IP address or current name'
+				})
+				.positional('name', {
+					type: 'string',
+					description: 'New device name'
+				});
+		},
+		async (/** @type {ArgumentsCamelCase<RenameCommandArgs>} */ argv) => {
+			await handleRenameCommand(argv);
+		}
+	)
+	.command(
+		'specs',
+		'Manage the offline cache of miot-spec.org model specifications.',
+		(yargs) => {
+			return yargs
+				.option('model', {
+					alias: 'm',
+					type: 'string',
+					description: 'Device model to look up (or to assign to an imported spec)'
+				})
+				.option('import', {
+					alias: 'i',
+					type: 'string',
+					description: 'Import a spec JSON file from disk into the cache'
+				})
+				.option('refresh', {
+					type: 'boolean',
+					description: 'Re-download the catalogue and all cached specs',
+					default: false
+				});
+		},
+		async (/** @type {ArgumentsCamelCase<SpecsCommandArgs>} */ argv) => {
+			await handleSpecsCommand(argv);
+		}
+	)
 	.option('verbose', {
 		type: 'boolean',
 		description: 'Run with verbose logging',
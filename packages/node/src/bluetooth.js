@@ -1,7 +1,7 @@
 import EventEmitter from 'events';
 import MiBeacon from './mibeacon.js';
 import { UUID, GET_DEVICE_DISCOVERY_TIMEOUT } from './constants.js';
-import { createFallbackProxy } from './index.js';
+import { createFallbackProxy, getAbortError } from './index.js';
 /** @import { XiaomiMiHome } from './index.js' */
 /** @import { default as Device, Config as DeviceConfig } from './device.js' */
 
@@ -86,10 +86,17 @@ export class BluetoothDevice {
 
 	/**
 	 * Устанавливает соединение с устройством.
+	 * @param {object} [options] Опции подключения.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены подключения.
+	 * @param {number} [options.timeout] Таймаут ожидания разрешения сервисов в миллисекундах
+	 *   (по умолчанию 10 секунд, 30 секунд при подключении к шине D-Bus через `DBUS_SYSTEM_BUS_ADDRESS`).
 	 * @returns {Promise<void>}
+	 * @throws {Error} Если подключение отменено или сервисы не разрешились за отведенное время.
 	 */
-	async connect() {
-		const sec = process.env.DBUS_SYSTEM_BUS_ADDRESS ? 30 : 10;
+	async connect({ signal, timeout } = {}) {
+		const sec = (timeout ?? (process.env.DBUS_SYSTEM_BUS_ADDRESS ? 30_000 : 10_000)) / 1_000;
+		if (signal?.aborted)
+			throw getAbortError(signal);
 		const properties = this.proxy.getInterface('org.freedesktop.DBus.Properties');
 		const checkResolved = async () => {
 			try {
@@ -109,10 +116,16 @@ export class BluetoothDevice {
 					return resolve();
 				}
 			};
+			const onAbort = () => {
+				cleanup();
+				reject(getAbortError(signal));
+			};
 			const cleanup = () => {
 				clearTimeout(timerId);
+				signal?.removeEventListener('abort', onAbort);
 				this.bluetooth.off(`properties:${this.id}`, onPropertiesChanged);
 			};
+			signal?.addEventListener('abort', onAbort, { once: true });
 			timerId = setTimeout(() => {
 				cleanup();
 				reject(new Error(`Timed out after ${sec}s waiting for services to be resolved.`));
@@ -528,6 +541,8 @@ export default class Bluetooth extends EventEmitter {
 				}
 				if (properties.RSSI !== undefined)
 					this.#rssi.set(device, properties.RSSI);
+				if (this.isDiscovering && this.devices[device]?.mac)
+					this.emit('seen', { ...this.devices[device], rssi: this.#rssi.get(device) });
 				if (this.isMonitoring && properties.ServiceData) {
 					const id = UUID.find(id => properties.ServiceData[id]);
 					if (id) {
@@ -567,28 +582,38 @@ export default class Bluetooth extends EventEmitter {
 	 * запускает сканирование (если оно еще не запущено) и ждет события 'available'.
 	 * @param {string} mac MAC-адрес устройства для ожидания.
 	 * @param {number|null} [ms=null] - Максимальное время ожидания в миллисекундах. Если null или 0, будет ждать бессрочно.
+	 * @param {object} [options] - Опции ожидания.
+	 * @param {AbortSignal} [options.signal] - Сигнал отмены ожидания.
 	 * @returns {Promise<DeviceConfig & {path: string}>} Промис, который разрешается объектом конфигурации найденного устройства (`{ path, name, mac }`).
-	 * @throws {Error} Срабатывает, если время ожидания истекло до обнаружения устройства.
+	 * @throws {Error} Срабатывает, если время ожидания истекло до обнаружения устройства или ожидание отменено.
 	 */
-	async waitDevice(mac, ms = null) {
+	async waitDevice(mac, ms = null, { signal } = {}) {
 		const id = mac.replace(new RegExp(':', 'g'), '_').toUpperCase();
 		const config = Object.values(this.devices).find(device => device.mac === mac);
 		if (config) {
 			this.client?.log('debug', `Device ${mac} found immediately in discovery cache.`);
 			return config;
 		}
+		if (signal?.aborted)
+			throw getAbortError(signal);
 		this.client?.log('debug', `Waiting for device ${mac} to be discovered...${ms ? ` (timeout: ${ms}ms)` : ''}`);
 		return new Promise((resolve, reject) => {
 			let timerId;
 			const isDiscovering = this.isDiscovering;
 			if (!isDiscovering)
 				this.startDiscovery();
+			const onAbort = () => {
+				cleanup();
+				reject(getAbortError(signal));
+			};
 			const cleanup = () => {
 				clearTimeout(timerId);
+				signal?.removeEventListener('abort', onAbort);
 				this.off(`available:dev_${id}`, onDeviceAvailable);
 				if (!isDiscovering)
 					this.stopDiscovery();
 			};
+			signal?.addEventListener('abort', onAbort, { once: true });
 			const onDeviceAvailable = (/** @type {DeviceConfig & {path: string}} */ config) => {
 				this.client?.log('debug', `Device ${mac} was discovered via event.`);
 				cleanup();
@@ -608,10 +633,13 @@ export default class Bluetooth extends EventEmitter {
 	 * Получает интерфейс устройства Bluetooth по MAC-адресу.
 	 * Если устройство не найдено в кэше, выполняет поиск устройства.
 	 * @param {string} mac MAC-адрес устройства.
+	 * @param {object} [options] Опции поиска.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены поиска.
+	 * @param {number} [options.timeout=GET_DEVICE_DISCOVERY_TIMEOUT] Максимальное время поиска устройства в миллисекундах.
 	 * @returns {Promise<object>} Прокси-объект интерфейса устройства Bluetooth.
-	 * @throws {Error} Если произошла ошибка D-Bus или устройство не найдено в течение таймаута.
+	 * @throws {Error} Если произошла ошибка D-Bus, устройство не найдено в течение таймаута или поиск отменен.
 	 */
-	async getDevice(mac) {
+	async getDevice(mac, { signal, timeout = GET_DEVICE_DISCOVERY_TIMEOUT } = {}) {
 		let proxy, device;
 		const id = mac.replace(new RegExp(':', 'g'), '_').toUpperCase();
 		this.client?.log('debug', `Getting Bluetooth device interface for MAC: ${mac} (ID: ${id})`);
@@ -624,8 +652,8 @@ export default class Bluetooth extends EventEmitter {
 			this.client?.log('debug', `Found existing D-Bus proxy for device ${id}`);
 			device = proxy.getInterface('org.bluez.Device1');
 		} catch (err) {
-			this.client?.log('info', `Device ${mac} not found directly, starting discovery search (timeout: ${GET_DEVICE_DISCOVERY_TIMEOUT}ms)...`);
-			const config = await this.waitDevice(mac, GET_DEVICE_DISCOVERY_TIMEOUT);
+			this.client?.log('info', `Device ${mac} not found directly, starting discovery search (timeout: ${timeout}ms)...`);
+			const config = await this.waitDevice(mac, timeout, { signal });
 			this.client?.log('debug', `Device ${mac} discovered, getting proxy from path: ${config.path}`);
 			proxy = await this.bus.getProxyObject('org.bluez', config.path);
 			device = proxy.getInterface('org.bluez.Device1');
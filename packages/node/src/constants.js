@@ -9,6 +9,7 @@ export const DEFAULT_LOG_LEVEL = 'none';
 export const LIB_ID = 'xmihome';
 export const UUID = /** @type {const} */ (['0000fe95-0000-1000-8000-00805f9b34fb', '0000181b-0000-1000-8000-00805f9b34fb']);
 export const COUNTRIES = /** @type {const} */ (['sg', 'cn', 'ru', 'us', 'tw', 'de']);
+export const DEFAULT_COUNTRY = 'cn';
 export const NOTIFY_POLLING_INTERVAL = 5_000;
 export const RECONNECT_INITIAL_DELAY = 2_000;
 export const RECONNECT_MAX_DELAY = 30_000;
@@ -16,4 +17,77 @@ export const RECONNECT_FACTOR = 1.5;
 export const RECONNECT_MAX_ATTEMPTS_SHORT = 5;
 export const RECONNECT_MAX_ATTEMPTS_LONG = 3;
 export const GET_DEVICE_DISCOVERY_TIMEOUT = 20_000;
+export const DISCOVERY_LOST_TIMEOUT = 90_000;
+export const DISCOVERY_SWEEP_INTERVAL = 5_000;
+export const CLOUD_REQUEST_TIMEOUT = 5_000;
 export const CACHE_TTL = 5 * 60_1000;
+export const SPEC_CACHE_TTL = 30 * 24 * 60 * 60_000;
+export const MIIO_PORT = 54321;
+export const MIIO_TIMEOUT = 5_000;
+export const MIIO_RETRIES = 3;
+export const MIIO_HANDSHAKE_TTL = 60_000;
+export const MIIO_DISCOVERY_INTERVAL = 30_000;
+export const MIIO_PROBE_MAX_ADDRESSES = 4_096;
+export const MIOT_ERROR_CODES = /** @type {const} */ ({
+	0: 'Success',
+	1: 'Accepted',
+	[-4001]: 'Property is not readable',
+	[-4002]: 'Property is not writable',
+	[-4003]: 'Property, action or event does not exist',
+	[-4004]: 'Internal error',
+	[-4005]: 'Invalid property value',
+	[-4006]: 'Invalid action parameters',
+	[-4007]: 'Invalid device id',
+	[-704002000]: 'Unknown error',
+	[-704010000]: 'Unauthorized',
+	[-704030013]: 'Property is not readable',
+	[-704030023]: 'Property is not writable',
+	[-704030033]: 'Property is not subscribable',
+	[-704040002]: 'Service does not exist',
+	[-704040003]: 'Property does not exist',
+	[-704040004]: 'Event does not exist',
+	[-704040005]: 'Action does not exist',
+	[-704040999]: 'Feature is not online',
+	[-704042001]: 'Device is offline',
+	[-704042011]: 'Device is offline',
+	[-704053036]: 'Operation timed out',
+	[-704083036]: 'Operation timed out',
+	[-704090001]: 'Device does not exist',
+	[-704220008]: 'Invalid id',
+	[-704220025]: 'Action parameter count mismatch',
+	[-704220035]: 'Invalid action parameters',
+	[-704220043]: 'Invalid property value',
+	[-704222034]: 'Invalid action return value',
+	[-705004000]: 'Unknown error',
+	[-705201013]: 'Property is not readable',
+	[-705201023]: 'Property is not writable',
+	[-705201033]: 'Property is not subscribable',
+	[-706012000]: 'Unknown error',
+	[-706012013]: 'Property is not readable',
+	[-706012023]: 'Property is not writable',
+	[-706012033]: 'Property is not subscribable',
+	[-706012043]: 'Invalid property value'
+});
+export const NOTIFY_POLLING_MAX_INTERVAL = 60_000;
+export const NOTIFY_POLLING_BACKOFF_FACTOR = 2;
+export const NOTIFY_BOOST_INTERVAL = 1_000;
+export const NOTIFY_BOOST_DURATION = 10_000;
+export const NOTIFY_PUSH_KEEPALIVE_INTERVAL = 60_000;
+export const HEALTH_CHECK_INTERVAL = 30_000;
+export const HEALTH_CHECK_CLOUD_INTERVAL = 60_000;
+export const HEALTH_MAX_FAILURES = 3;
+export const QUEUE_ABORT_GRACE = 2_000;
+export const QUEUE_PRIORITY = /** @type {const} */ ({
+	low: -10,
+	normal: 0,
+	high: 10
+});
+export const MIPS_COUNTRIES = /** @type {const} */ (['cn', 'de', 'ru', 'sg', 'us']);
+export const MIPS_PORT = 8883;
+export const MIPS_KEEPALIVE = 60;
+export const MIPS_CONNECT_TIMEOUT = 10_000;
+export const MIPS_RETRY_INTERVAL = 10 * 60_000;
+export const OAUTH_CLIENT_ID = '2882303761520251711';
+export const OAUTH_REDIRECT_URI = 'http://homeassistant.local:8123';
+export const OAUTH_API_HOST = 'ha.api.io.mi.com';
+export const OAUTH_TOKEN_TTL_RATIO = 0.7;
@@ -1,11 +1,18 @@
 import EventEmitter from 'events';
 import Miot from './miot.js';
-import { sleep } from './index.js';
+import { sleep, createSignal, getAbortError } from './index.js';
+import { MiotError } from './errors.js';
+import Poller from './poller.js';
+import Queue from './queue.js';
 import {
 	NOTIFY_POLLING_INTERVAL, RECONNECT_INITIAL_DELAY, RECONNECT_MAX_DELAY,
-	RECONNECT_FACTOR, RECONNECT_MAX_ATTEMPTS_SHORT, RECONNECT_MAX_ATTEMPTS_LONG
+	RECONNECT_FACTOR, RECONNECT_MAX_ATTEMPTS_SHORT, RECONNECT_MAX_ATTEMPTS_LONG,
+	NOTIFY_PUSH_KEEPALIVE_INTERVAL, HEALTH_CHECK_INTERVAL, HEALTH_CHECK_CLOUD_INTERVAL, HEALTH_MAX_FAILURES,
+	QUEUE_PRIORITY
 } from './constants.js';
-/** @import { XiaomiMiHome } from './index.js' */
+/** @import { XiaomiMiHome, Credentials } from './index.js' */
+/** @import { QueueOptions } from './queue.js' */
+/** @import { MiioInfo } from './miio.js' */
 
 /**
  * @typedef {Object} Config
@@ -16,8 +23,42 @@ import {
  * @property {string} [mac] MAC-адрес устройства (используется для Bluetooth / BLE).
  * @property {string} [token] Токен устройства (для MiIO подключения).
  * @property {string} [bindkey] Ключ привязки BLE (MiBeacon bindkey, 16 байт в hex).
+ * @property {string} [country] Регион облака, в котором зарегистрировано устройство (для облачного подключения).
+ * @property {ReconnectOptions} [reconnect] Политика переподключения устройства. Переопределяет `reconnect` клиента.
+ * @property {('miio'|'bluetooth'|'cloud')[]} [connectionTypes] Упорядоченный список типов подключения.
+ *   При ошибке подключения используется следующий тип, при потере связи устройство переключается на доступный тип из списка.
+ */
+
+/**
+ * Политика автоматического переподключения после внешнего разрыва соединения.
+ * Сначала выполняются `maxAttemptsShort` попыток с растущей задержкой от `initialDelay`,
+ * затем `maxAttemptsLong` попыток с задержкой `maxDelay`.
+ * @typedef {object} ReconnectOptions
+ * @property {boolean} [enabled=true] Переподключаться автоматически после внешнего разрыва.
+ * @property {number} [initialDelay] Начальная задержка между попытками в миллисекундах.
+ * @property {number} [maxDelay] Максимальная задержка между попытками в миллисекундах.
+ * @property {number} [factor] Множитель увеличения задержки.
+ * @property {number} [maxAttemptsShort] Количество попыток в короткой фазе.
+ * @property {number} [maxAttemptsLong] Количество попыток в длинной фазе.
+ * @property {boolean} [infinite=false] Не прекращать попытки: после короткой фазы повторять с задержкой `maxDelay` бесконечно.
+ * @property {number} [jitter=0] Случайный разброс задержки (доля от 0 до 1), чтобы устройства не переподключались одновременно.
+ */
+/**
+ * Дом или комната Mi Home, к которым привязано устройство.
+ * @typedef {{ id: number, name: string }} Place
+ */
+
+/**
+ * Устройство, найденное при поиске.
+ * `home` и `room` заполняются по данным облака (для локально найденных устройств - из реестра).
+ * @typedef {Config & {
+ *   isOnline?: boolean,
+ *   stamp?: number,
+ *   info?: MiioInfo,
+ *   home?: Place,
+ *   room?: Place
+ * }} DiscoveredDevice
  */
-/** @typedef {Config & { isOnline?: boolean }} DiscoveredDevice */
 
 /**
  * @typedef {{
@@ -26,6 +67,8 @@ import {
  *   siid?: never;
  *   piid?: never;
  *   format?: never;
+ *   prop?: never;
+ *   set?: never;
  * }} BluetoothProperty
  */
 
@@ -33,12 +76,32 @@ import {
  * @typedef {{
  *   siid: number;
  *   piid: number;
- *   format: 'bool'|'float'|'uint8'|'string';
+ *   format: 'bool'|'float'|'uint8'|'uint16'|'uint32'|'int8'|'int16'|'int32'|'int64'|'string'|'hex';
+ *   description?: string;
+ *   unit?: string;
+ *   valueList?: { value: number, description: string }[];
+ *   valueRange?: [number, number, number];
  *   service?: never;
  *   characteristic?: never;
+ *   prop?: never;
+ *   set?: never;
  * }} MiotProperty
  */
 
+/**
+ * Свойство устройства на старом протоколе miIO (без спецификации MIoT).
+ * Читается через `get_prop` по имени, записывается отдельной командой (например, `set_power`).
+ * @typedef {{
+ *   prop: string;
+ *   set?: string;
+ *   format?: never;
+ *   siid?: never;
+ *   piid?: never;
+ *   service?: never;
+ *   characteristic?: never;
+ * }} MiioProperty
+ */
+
 /**
  * @typedef {{
  *   access: ('read'|'write'|'notify')[];
@@ -46,7 +109,7 @@ import {
  *   notify?: (buf: Buffer) => any;
  *   write?: (data: any) => Buffer;
  *   key?: string;
- * } & (BluetoothProperty | MiotProperty)} Property
+ * } & (BluetoothProperty | MiotProperty | MiioProperty)} Property
  */
 
 /**
@@ -58,6 +121,48 @@ import {
  * }} Action
  */
 
+/**
+ * @typedef {{
+ *   siid: number;
+ *   eiid: number;
+ *   arguments?: number[];
+ *   description?: string;
+ *   key?: string;
+ * }} MiotEvent
+ */
+
+/**
+ * @typedef {object} EventPayload
+ * @property {string} key Ключ события.
+ * @property {number} siid ID сервиса.
+ * @property {number} eiid ID события.
+ * @property {Object<string, any>} arguments Аргументы события, где ключ - ключ свойства (или piid, если свойство не описано).
+ * @property {number} ts Метка времени события в миллисекундах.
+ */
+
+/**
+ * Последнее известное значение свойства в хранилище состояния устройства.
+ * @typedef {object} StateEntry
+ * @property {any} value Значение свойства.
+ * @property {number} ts Метка времени получения значения в миллисекундах.
+ * @property {'poll'|'notify'|'advertisement'|'set'} source Источник значения: чтение/опрос, уведомление BLE, рекламный пакет MiBeacon или запись.
+ */
+
+/**
+ * @typedef {object} StateChange
+ * @property {string} key Ключ свойства.
+ * @property {any} value Новое значение.
+ * @property {any} previous Предыдущее значение (`undefined`, если значение получено впервые).
+ * @property {StateEntry['source']} source Источник нового значения.
+ * @property {number} ts Метка времени изменения в миллисекундах.
+ */
+
+/**
+ * @typedef {object} SetPropertyResult
+ * @property {number} code Код результата MIoT (0 - успех, отрицательные значения - ошибки).
+ * @property {string} message Текстовое описание кода результата.
+ */
+
 /**
  * @typedef {object} UuidMapping
  * @property {Object<string, string>} services - Карта полных UUID сервисов в их 16-битные псевдонимы.
@@ -153,6 +258,15 @@ export default class Device extends EventEmitter {
 		return device.model ? model.models?.includes(device.model) : model.alias?.includes(device.name);
 	};
 
+	/**
+	 * Нормализует описание значения из спецификации в символьное имя (например, 'Level 1' -> 'level_1').
+	 * @param {string} description Описание значения.
+	 * @returns {string}
+	 */
+	static #valueName(description) {
+		return String(description).trim().toLowerCase().replace(/[\s-]+/g, '_');
+	};
+
 	/**
 	 * Генерирует уникальный строковый ключ для идентификации экземпляра устройства.
 	 * Используется для кэширования экземпляров Device.
@@ -167,15 +281,16 @@ export default class Device extends EventEmitter {
 	/**
 	 * Определяет предполагаемый тип подключения для устройства на основе его конфигурации.
 	 * @param {Config} device Объект конфигурации устройства.
-	 * @param {object} [credentials] Объект с учетными данными (username, password) для проверки облачного подключения.
+	 * @param {Credentials} [credentials] Учетные данные клиента для проверки облачного подключения (пароль, токены или passToken).
+	 * @param {string} [credentialsFile] Путь к файлу учетных данных клиента.
 	 * @returns {'miio'|'bluetooth'|'cloud'|undefined} Определенный тип подключения или undefined, если не удалось определить.
 	 */
-	static getDeviceType(device, credentials) {
+	static getDeviceType(device, credentials, credentialsFile) {
 		if (device.address && device.token && !device.id?.startsWith('blt.'))
 			return 'miio';
 		if (device.mac && device.model)
 			return 'bluetooth';
-		if (device.id && credentials?.username && credentials?.password)
+		if (device.id && !Miot.getCredentialsError(credentials, credentialsFile))
 			return 'cloud';
 	};
 
@@ -184,10 +299,12 @@ export default class Device extends EventEmitter {
 	 * Если модель устройства не найдена в локальных файлах, пытается загрузить спецификацию модели с miot-spec.org.
 	 * @param {object} device Конфигурация устройства.
 	 * @param {XiaomiMiHome} client Экземпляр класса XiaomiMiHome.
+	 * @param {object} [options] Опции создания.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены загрузки спецификации модели.
 	 * @returns {Promise<Device>} Экземпляр класса Device или его подкласса.
-	 * @throws {Error} Если устройство не найдено.
+	 * @throws {Error} Если устройство не найдено или загрузка спецификации отменена.
 	 */
-	static async create(device, client) {
+	static async create(device, client, { signal } = {}) {
 		if (!device || (!device.name && !device.model)) {
 			client?.log('error', 'Device.create failed: Device object is invalid or missing model/name.', device);
 			throw new Error('Device not found');
@@ -199,7 +316,10 @@ export default class Device extends EventEmitter {
 			client?.log('info', `Using specific device class "${model.name}" for model ${device.model || device.name}`);
 			instance = new model(device, client);
 		} else if (device.model) {
-			const spec = await Miot.findModel(device.model).catch(() => {});
+			const spec = await Miot.findModel(device.model, { signal }).catch(err => {
+				if (signal?.aborted)
+					throw err;
+			});
 			if (spec) {
 				client?.log('info', `Using generic MIoT spec definition for model ${device.model}`);
 				client?.log('debug', `MIoT Spec details:`, spec);
@@ -208,6 +328,7 @@ export default class Device extends EventEmitter {
 					static spec = `https://home.miot-spec.com/spec?type=${spec.type}`;
 					properties = spec.properties;
 					actions = spec.actions;
+					events = spec.events;
 				})(device, client);
 			}
 		}
@@ -223,6 +344,10 @@ export default class Device extends EventEmitter {
 			for (const key in instance.actions) {
 				instance.actions[key].key = key;
 			}
+		if (instance.events)
+			for (const key in instance.events) {
+				instance.events[key].key = key;
+			}
 		return instance;
 	};
 
@@ -238,6 +363,12 @@ export default class Device extends EventEmitter {
 	 */
 	actions = {};
 
+	/**
+	 * Описание событий устройства.
+	 * @type {Object.<string, MiotEvent>}
+	 */
+	events = {};
+
 	/**
 	 * Тип подключения устройства.
 	 * Возможные значения:
@@ -258,10 +389,56 @@ export default class Device extends EventEmitter {
 	/**
 	 * Хранилище для активных и желаемых подписок на уведомления.
 	 * Ключ - строковый идентификатор свойства (prop.key).
-	 * @type {Object.<string, {prop: object, callbacks: Function[], characteristic: object | null, timerId: NodeJS.Timeout | null}>}
+	 * @type {Object.<string, {prop: object, callbacks: Function[], characteristic: object | null, interval: number}>}
 	 */
 	notify = {};
 
+	/**
+	 * Хранилище активных подписок на события устройства.
+	 * Ключ - строковый идентификатор события (event.key).
+	 * @type {Object.<string, {event: MiotEvent, callbacks: ((payload: EventPayload) => void)[]}>}
+	 */
+	#eventSubscriptions = {};
+
+	/**
+	 * Общий планировщик опроса свойств для подписок через MiIO и облако.
+	 * @type {Poller|null}
+	 */
+	#poller = null;
+
+	/**
+	 * Очередь команд устройства. Все обращения к устройству (чтение, запись, действия, опрос,
+	 * проверка доступности и переподключение) выполняются через нее последовательно.
+	 * @type {Queue}
+	 */
+	#queue = new Queue();
+
+	/**
+	 * Ключи свойств, значения которых приходят push-уведомлениями MiIO или облака.
+	 * Для них опрос выполняется только с интервалом поддержания сессии.
+	 * @type {Set<string>}
+	 */
+	#pushKeys = new Set();
+
+	/**
+	 * Функция отписки от push-уведомлений MiIO.
+	 * @type {(() => void) | null}
+	 */
+	#stopPush = null;
+
+	/**
+	 * Подписки на push-уведомления облака, где ключ - ключ свойства или `event:<ключ события>`.
+	 * `active` сбрасывается, пока соединение с брокером потеряно.
+	 * @type {Map<string, { unsubscribe: () => Promise<void>, active: boolean }>}
+	 */
+	#cloudPush = new Map();
+
+	/**
+	 * Функция остановки активного источника событий (слушатель MiIO или опрос облака).
+	 * @type {(() => void) | null}
+	 */
+	#stopEventSource = null;
+
 	/**
 	 * Промис, представляющий текущую активную операцию подключения.
 	 * @type {Promise<void> | undefined}
@@ -276,7 +453,7 @@ export default class Device extends EventEmitter {
 
 	/**
 	 * Промис, представляющий текущий активный процесс автоматического переподключения.
-	 * @type {Promise<void> | undefined}
+	 * @type {Promise<boolean> | undefined}
 	 */
 	#reconnectPromise;
 
@@ -286,6 +463,30 @@ export default class Device extends EventEmitter {
 	 */
 	#reconnectController;
 
+	/**
+	 * Таймер периодической проверки доступности устройства (MiIO/облако).
+	 * @type {NodeJS.Timeout|null}
+	 */
+	#healthTimer = null;
+
+	/**
+	 * Количество неудачных обращений к MiIO устройству подряд.
+	 * @type {number}
+	 */
+	#failures = 0;
+
+	/**
+	 * Подписки, сохраненные для восстановления после переподключения.
+	 * @type {{ notify: { callback: Function, prop: object, interval: number }[], events: { callback: (payload: EventPayload) => void, event: MiotEvent }[] } | null}
+	 */
+	#savedSubscriptions = null;
+
+	/**
+	 * Последний успешно использованный тип подключения.
+	 * @type {'miio'|'bluetooth'|'cloud'|undefined}
+	 */
+	#lastConnectionType;
+
 	/**
 	 * Промис, представляющий текущую активную операцию отключения.
 	 * @type {Promise<void> | undefined}
@@ -317,11 +518,24 @@ export default class Device extends EventEmitter {
 	device = null;
 
 	/**
-	 * Текущее состояние устройства (последние полученные параметры и RSSI).
-	 * @type {Object}
+	 * Сведения об устройстве из `miIO.info` (модель, прошивка, оборудование, MAC-адрес, Wi-Fi),
+	 * полученные при поиске или последнем подключении через MiIO.
+	 * @type {MiioInfo|null}
+	 */
+	info = null;
+
+	/**
+	 * Хранилище последних известных значений свойств устройства, где ключ - ключ свойства.
+	 * @type {Object.<string, StateEntry>}
 	 */
 	#state = {};
 
+	/**
+	 * Последние параметры и RSSI, полученные из рекламных пакетов при мониторинге.
+	 * @type {{ params?: object, rssi?: number }}
+	 */
+	#advertisement = {};
+
 	/**
 	 * Конструктор класса Device.
 	 * @param {Config} config Конфигурация устройства.
@@ -365,6 +579,34 @@ export default class Device extends EventEmitter {
 		return !!this.#reconnectController;
 	};
 
+	/**
+	 * Копия хранилища состояния: последние известные значения свойств с меткой времени и источником.
+	 * Обновляется при чтении, записи, уведомлениях BLE и рекламных пакетах MiBeacon.
+	 * @type {Object.<string, StateEntry>}
+	 */
+	get state() {
+		return structuredClone(this.#state);
+	};
+
+	/**
+	 * Итоговая политика переподключения: значения по умолчанию, затем `reconnect` клиента, затем `reconnect` устройства.
+	 * @type {Required<ReconnectOptions>}
+	 */
+	get reconnectPolicy() {
+		return {
+			enabled: true,
+			initialDelay: RECONNECT_INITIAL_DELAY,
+			maxDelay: RECONNECT_MAX_DELAY,
+			factor: RECONNECT_FACTOR,
+			maxAttemptsShort: RECONNECT_MAX_ATTEMPTS_SHORT,
+			maxAttemptsLong: RECONNECT_MAX_ATTEMPTS_LONG,
+			infinite: false,
+			jitter: 0,
+			...this.client.config.reconnect,
+			...this.config.reconnect
+		};
+	};
+
 	/**
 	 * Получает модель устройства. Если модель не указана в конфигурации, пытается получить первую модель из списка `this.constructor.models`.
 	 * @returns {string|undefined} Модель устройства или `undefined`, если не удалось определить.
@@ -390,12 +632,20 @@ export default class Device extends EventEmitter {
 	 * Устанавливает соединение с устройством.
 	 * Тип подключения определяется в следующем порядке приоритета:
 	 * 1. Явно переданный `connectionType` в метод.
-	 * 2. Тип `connectionType`, указанный в основной конфигурации клиента (`client.config.connectionType`), если для него есть необходимые данные у устройства.
-	 * 3. Автоматическое определение на основе доступных параметров конфигурации устройства (`address`/`token`, `mac`/`model`, `id`/`credentials`).
+	 * 2. Список `connectionTypes` из конфигурации устройства: типы перебираются по порядку до первого успешного подключения.
+	 * 3. Тип `connectionType`, указанный в основной конфигурации клиента (`client.config.connectionType`), если для него есть необходимые данные у устройства.
+	 * 4. Автоматическое определение на основе доступных параметров конфигурации устройства (`address`/`token`, `mac`/`model`, `id`/`credentials`).
 	 * @param {('miio'|'bluetooth'|'cloud')} [connectionType] Предпочитаемый тип подключения ('miio', 'bluetooth', 'cloud').
-	 * @throws {Error} Если недостаточно данных для определения типа подключения или невозможно установить выбранный тип подключения.
+	 * @param {object} [options] Опции подключения.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены подключения.
+	 * @param {number} [options.timeout] Максимальное время подключения в миллисекундах (при переборе `connectionTypes` - на все попытки).
+	 * @throws {Error} Если недостаточно данных для определения типа подключения, невозможно установить выбранный тип подключения,
+	 *   подключение отменено или превышен таймаут.
 	 */
-	async connect(connectionType = this.client.config.connectionType) {
+	async connect(connectionType, options = {}) {
+		if (!connectionType && this.config.connectionTypes?.length)
+			return this.#connectWithFailover(this.config.connectionTypes, options);
+		connectionType ??= this.client.config.connectionType;
 		if (this.isConnecting)
 			return this.#connectionPromise;
 		if (this.isConnected && this.device) {
@@ -408,42 +658,49 @@ export default class Device extends EventEmitter {
 		}
 		if (this.#connectionController)
 			this.#connectionController.abort();
-		this.#connectionController = new AbortController();
+		const controller = this.#connectionController = new AbortController();
+		const cancel = createSignal(options);
+		if (cancel.signal.aborted)
+			controller.abort();
+		else
+			cancel.signal.addEventListener('abort', () => controller.abort(), { once: true });
 		this.#connectionPromise = (async () => {
-			const signal = this.#connectionController.signal;
+			const signal = controller.signal;
 			try {
 				if (signal.aborted)
 					throw new Error('Connection cancelled');
 				this.client.log('info', `Connecting to device "${this.getName()}" ${connectionType ? 'using specified type: ' + connectionType : '(auto-detecting type)'}`);
 				if (!connectionType) {
-					connectionType = this.class.getDeviceType(this.config, this.client.config.credentials);
+					connectionType = this.class.getDeviceType(this.config, this.client.config.credentials, this.client.config.credentialsFile);
 					if (!connectionType)
 						throw new Error('Недостаточно данных для определения типа подключения');
 				} else {
-					if (
-						(connectionType === 'miio' && !(this.config.address && this.config.token)) ||
-						(connectionType === 'bluetooth' && !(this.config.mac && this.config.model)) ||
-						(connectionType === 'cloud' && !(this.config.id && this.client.config.credentials?.username && this.client.config.credentials?.password))
-					)
-						throw new Error(`Невозможно установить тип подключения: ${connectionType}`);
+					const error = this.#getConnectError(connectionType);
+					if (error)
+						throw new Error(`Невозможно установить тип подключения: ${connectionType} (${error})`);
 				}
 				if (signal.aborted)
 					throw new Error('Connection cancelled');
 				this.client.log('debug', `Attempting connection via ${connectionType}`);
 				if (connectionType === 'miio') {
 					this.client.log('debug', `Connecting via MiIO to ${this.config.address}`);
-					this.device = await Promise.race([
-						this.client.miot.miio.device({
-							address: this.config.address,
-							token: this.config.token
-						}),
-						new Promise((_, reject) => {
-							signal.addEventListener('abort', () => reject(new Error('Connection cancelled')));
-						})
-					]);
+					this.device = await this.client.miot.miio.device({
+						address: this.config.address,
+						token: this.config.token
+					}, { signal });
+					try {
+						this.info = await this.device.info({ retries: 1, signal });
+						this.client.log('debug', `Device "${this.getName()}" miIO.info:`, this.info);
+						if (this.info.model && (this.info.model !== this.config.model))
+							this.client.log('warn', `Device "${this.getName()}" reports model ${this.info.model}, but is configured as ${this.config.model}`);
+					} catch (err) {
+						if (signal.aborted)
+							throw err;
+						this.client.log('warn', `Failed to get miIO.info from device "${this.getName()}": ${err.message}`);
+					}
 				} else if (connectionType === 'bluetooth') {
 					this.client.log('debug', `Connecting via Bluetooth to ${this.config.mac}`);
-					const device = await this.client.bluetooth.getDevice(this.config.mac);
+					const device = await this.client.bluetooth.getDevice(this.config.mac, { signal });
 					this.proxy = device['$object'];
 					let retries = 3;
 					while (true) {
@@ -451,12 +708,7 @@ export default class Device extends EventEmitter {
 							throw new Error('Connection cancelled');
 						await sleep(500, signal);
 						try {
-							await Promise.race([
-								device.connect(),
-								new Promise((_, reject) => {
-									signal.addEventListener('abort', () => reject(new Error('Connection cancelled')));
-								})
-							]);
+							await device.connect({ signal });
 							break;
 						} catch (err) {
 							if (signal.aborted || (--retries === 0))
@@ -468,6 +720,8 @@ export default class Device extends EventEmitter {
 					this.device = device;
 					this.client.bluetooth.connected[id] = this;
 				} else if (connectionType === 'cloud') {
+					if (this.isReconnecting && !(await this.#isCloudOnline()))
+						throw new Error('Device is offline in the cloud');
 					this.client.log('debug', `Connection type set to 'cloud' for device ${this.config.id}. Ready for requests.`);
 					this.device = {
 						id: this.config.id
@@ -486,6 +740,9 @@ export default class Device extends EventEmitter {
 					throw err;
 				}
 				this.isConnected = true;
+				this.#lastConnectionType = this.connectionType;
+				this.#failures = 0;
+				this.#startHealthCheck();
 				this.client.log('info', `Device "${this.getName()}" connected via: ${this.connectionType}`);
 				this.emit('connected', this.connectionType);
 			} catch (err) {
@@ -493,12 +750,17 @@ export default class Device extends EventEmitter {
 					this.client.log('info', `Connection to device "${this.getName()}" was cancelled`);
 				else
 					this.client.log('error', `Failed to connect to device "${this.getName()}" via ${connectionType}:`, err);
+				if ((connectionType === 'miio') && this.device)
+					await this.device.destroy().catch((/** @type {Error} */ err) => this.client.log('warn', `Error closing MiIO socket of "${this.getName()}":`, err));
 				this.connectionType = undefined;
 				this.device = null;
 				this.proxy = null;
 				this.isConnected = false;
-				throw err;
+				if (cancel.signal.aborted)
+					throw getAbortError(cancel.signal);
+				throw signal.aborted ? new Error('Connection cancelled') : err;
 			} finally {
+				cancel.clear();
 				this.#connectionPromise = null;
 				this.#connectionController = null;
 			}
@@ -506,6 +768,60 @@ export default class Device extends EventEmitter {
 		return this.#connectionPromise;
 	};
 
+	/**
+	 * Проверяет, достаточно ли данных в конфигурации для подключения указанного типа.
+	 * @param {'miio'|'bluetooth'|'cloud'} connectionType Тип подключения.
+	 * @returns {string|null} Описание недостающих данных или `null`, если подключение возможно.
+	 */
+	#getConnectError(connectionType) {
+		const missing = (/** @type {string[]} */ ...keys) => {
+			const absent = keys.filter(key => !this.config[key]);
+			return absent.length ? `missing ${absent.join(', ')}` : null;
+		};
+		if (connectionType === 'miio')
+			return missing('address', 'token');
+		if (connectionType === 'bluetooth')
+			return missing('mac', 'model');
+		if (connectionType === 'cloud')
+			return missing('id') || Miot.getCredentialsError(this.client.config.credentials, this.client.config.credentialsFile);
+		return 'unknown connection type';
+	};
+
+	/**
+	 * Подключается, перебирая типы подключения по порядку до первого успешного.
+	 * Типы, для которых недостаточно данных в конфигурации, пропускаются.
+	 * @param {('miio'|'bluetooth'|'cloud')[]} connectionTypes Упорядоченный список типов подключения.
+	 * @param {{ signal?: AbortSignal, timeout?: number }} [options] Опции отмены, общие для всех попыток.
+	 * @throws {Error} Ошибка последнего опробованного типа, если ни один не подошел.
+	 */
+	async #connectWithFailover(connectionTypes, options = {}) {
+		if (this.isConnected && connectionTypes.includes(this.connectionType))
+			return;
+		const cancel = createSignal(options);
+		try {
+			let lastError = new Error('Недостаточно данных для определения типа подключения');
+			for (const connectionType of connectionTypes) {
+				const error = this.#getConnectError(connectionType);
+				if (error) {
+					this.client.log('debug', `Skipping ${connectionType} for "${this.getName()}": ${error}.`);
+					continue;
+				}
+				try {
+					await this.connect(connectionType, { signal: cancel.signal });
+					return;
+				} catch (err) {
+					if (cancel.signal.aborted || (err.message === 'Connection cancelled'))
+						throw err;
+					lastError = err;
+					this.client.log('warn', `Connection to "${this.getName()}" via ${connectionType} failed, trying next connection type.`);
+				}
+			}
+			throw lastError;
+		} finally {
+			cancel.clear();
+		}
+	};
+
 	/**
 	 * Разрывает соединение с устройством.
 	 */
@@ -531,12 +847,17 @@ export default class Device extends EventEmitter {
 					return;
 				}
 				this.isConnected = false;
+				this.#stopHealthCheck();
 				this.client.log('info', `Disconnecting from device "${this.getName()}" (type: ${this.connectionType})`);
 				for (const key in this.notify) {
 					this.client.log('debug', `Stopping notifications for ${key} during disconnect.`);
 					await this.stopNotify(key).catch(err => this.client.log('warn', `Error stopping notify for ${key} during disconnect:`, err));
 				}
 				this.notify = {};
+				this.#stopEvents();
+				this.#eventSubscriptions = {};
+				for (const id of [...this.#cloudPush.keys()])
+					await this.#unsubscribeCloud(id);
 				if (this.connectionType === 'miio')
 					await this.device.destroy();
 				else if (this.connectionType === 'bluetooth') {
@@ -562,25 +883,57 @@ export default class Device extends EventEmitter {
 	/**
 	 * Получает значения свойств устройства.
 	 * Если `properties` не указан, запрашивает значения всех доступных для чтения свойств.
+	 * Для свойств, которые устройство не смогло прочитать, вместо значения возвращается `MiotError`.
+	 * @param {any} [properties] Массив ключей свойств или объектов свойств для запроса.
+	 * @param {{ symbolic?: boolean } & QueueOptions} [options] Опции чтения и очереди команд.
+	 * `symbolic` - возвращать символьные имена значений из `valueList` спецификации (например, 'sleep') вместо чисел.
+	 * @returns {Promise<object>} Объект, где ключи - это ключи свойств, а значения - их значения (или `MiotError`).
+	 */
+	async getProperties(properties, { symbolic = false, ...options } = {}) {
+		return this.#queue.add(signal => this.#getProperties(properties, { symbolic, signal }), options);
+	};
+
+	/**
+	 * Получает значения свойств устройства в обход очереди команд.
 	 * @param {any} [properties] Массив ключей свойств или объектов свойств для запроса.
-	 * @returns {Promise<object>} Объект, где ключи - это ключи свойств, а значения - их значения.
+	 * @param {object} [options] Опции чтения.
+	 * @param {boolean} [options.symbolic=false] Возвращать символьные имена значений вместо чисел.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены.
+	 * @returns {Promise<object>}
 	 */
-	async getProperties(properties) {
+	async #getProperties(properties, { symbolic = false, signal } = {}) {
 		let result = {};
 		if (!properties)
 			properties = Object.values(this.properties).filter(prop => prop.access?.includes('read') || prop.read);
+		else
+			properties = properties.map((/** @type {string|Property} */ prop) => (typeof prop === 'string') ? this.properties[prop] : prop);
 		if (properties.length) {
 			if (this.connectionType === 'bluetooth')
 				for (var prop of properties) {
-					result[prop.key] = await this.getProperty(prop);
+					result[prop.key] = await this.#getProperty(prop, { symbolic, signal });
 				}
-			else
-				for (var prop of await this.getProperty(properties)) {
-					if (!prop.code) {
-						const key = properties.find(({ siid, piid }) => ((siid === prop.siid) && (piid === prop.piid)))?.key || `${prop.siid}/${prop.piid}`;
-						result[key] = prop.value;
+			else {
+				const miot = properties.filter(prop => !prop.prop);
+				const legacy = properties.filter(prop => prop.prop);
+				if (miot.length)
+					for (var prop of await this.#getProperty(miot, { signal })) {
+						const property = miot.find(({ siid, piid }) => ((siid === prop.siid) && (piid === prop.piid)));
+						const key = property?.key || `${prop.siid}/${prop.piid}`;
+						if (prop.code)
+							result[key] = new MiotError(prop.code, { siid: prop.siid, piid: prop.piid, did: this.config.id });
+						else {
+							this.#updateState(key, prop.value, 'poll');
+							result[key] = (symbolic && property) ? this.#decodeValue(property, prop.value) : prop.value;
+						}
 					}
+				if (legacy.length) {
+					const values = await this.#getProperty(legacy, { signal });
+					legacy.forEach((prop, i) => {
+						this.#updateState(prop.key || prop.prop, values?.[i], 'poll');
+						result[prop.key || prop.prop] = values?.[i];
+					});
 				}
+			}
 		}
 		return result;
 	};
@@ -588,9 +941,24 @@ export default class Device extends EventEmitter {
 	/**
 	 * Получает значение конкретного свойства устройства.
 	 * @param {string|Property} prop Ключ свойства или объект свойства.
+	 * @param {{ symbolic?: boolean } & QueueOptions} [options] Опции чтения и очереди команд.
+	 * `symbolic` - возвращать символьное имя значения из `valueList` спецификации вместо числа.
 	 * @returns {Promise<object>} Значение свойства.
+	 * @throws {MiotError} Если устройство вернуло код ошибки для свойства.
 	 */
-	async getProperty(prop) {
+	async getProperty(prop, { symbolic = false, ...options } = {}) {
+		return this.#queue.add(signal => this.#getProperty(prop, { symbolic, signal }), options);
+	};
+
+	/**
+	 * Получает значение свойства (или массива свойств) в обход очереди команд.
+	 * @param {string|Property} prop Ключ свойства или объект свойства (для пакетного чтения - массив объектов свойств).
+	 * @param {object} [options] Опции чтения.
+	 * @param {boolean} [options.symbolic=false] Возвращать символьное имя значения вместо числа.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены.
+	 * @returns {Promise<any>}
+	 */
+	async #getProperty(prop, { symbolic = false, signal } = {}) {
 		let result;
 		if (typeof prop === 'string')
 			prop = this.properties[prop];
@@ -599,16 +967,24 @@ export default class Device extends EventEmitter {
 			if (!prop.access?.includes('read'))
 				throw new Error('The property does not support read');
 			result = prop.read(await (await this.device.getCharacteristic(prop)).readValue());
+		} else if ([].concat(prop).every(({ prop }) => prop)) {
+			result = await this.#rpc('get_prop', [].concat(prop).map(({ prop }) => prop), signal);
+			if (result && (prop.constructor === Object))
+				result = result[0];
 		} else {
 			const params = [].concat(prop).map(({ siid, piid }) => ({ siid, piid }));
-			if (this.connectionType === 'miio')
-				result = await this.device.call('get_properties', params);
-			else if (this.connectionType === 'cloud')
-				result = await this.client.miot.request(`/home/rpc/${this.config.id}`, {
-					params, method: 'get_properties'
-				}).then(({ result }) => result);
-			if (result && (prop.constructor === Object))
-				result = result[0].value;
+			result = await this.#rpc('get_properties', params, signal);
+			if (result && (prop.constructor === Object)) {
+				const [{ code, value }] = result;
+				if (code)
+					throw new MiotError(code, { siid: prop.siid, piid: prop.piid, did: this.config.id });
+				result = value;
+			}
+		}
+		if (prop.constructor === Object) {
+			this.#updateState(/** @type {Property} */ (prop).key, result, 'poll');
+			if (symbolic)
+				result = this.#decodeValue(/** @type {Property} */ (prop), result);
 		}
 		this.client.log('debug', `Got property value:`, result);
 		return result;
@@ -618,49 +994,276 @@ export default class Device extends EventEmitter {
 	 * Устанавливает значение свойства устройства.
 	 * @param {string|Property} prop Ключ свойства или объект свойства.
 	 * @param {object} value Значение для установки.
+	 * @param {QueueOptions} [options] Опции очереди команд.
 	 * @throws {Error} Если свойство не поддерживает запись.
+	 * @throws {MiotError} Если устройство вернуло код ошибки.
+	 */
+	async setProperty(prop, value, options) {
+		return this.#queue.add(signal => this.#setProperty(prop, value, signal), options);
+	};
+
+	/**
+	 * Устанавливает значение свойства в обход очереди команд.
+	 * @param {string|Property} prop Ключ свойства или объект свойства.
+	 * @param {any} value Значение для установки.
+	 * @param {AbortSignal} [signal] Сигнал отмены.
 	 */
-	async setProperty(prop, value) {
+	async #setProperty(prop, value, signal) {
 		if (typeof prop === 'string')
 			prop = this.properties[prop];
 		this.client.log('debug', `Setting property for "${this.getName()}" via ${this.connectionType}`, prop, value);
 		try {
 			if (!prop.access?.includes('write'))
 				throw new Error('The property does not support write');
+			value = this.#encodeValue(prop, value);
 			if (this.connectionType === 'bluetooth')
 				await (await this.device.getCharacteristic(prop)).writeValue(prop.write(value));
-			else {
-				if (this.connectionType === 'miio')
-					await this.device.call('set_properties', [{
+			else if (prop.prop) {
+				if (!prop.set)
+					throw new Error(`The property '${prop.key}' has no set command`);
+				await this.#rpc(prop.set, [].concat(value), signal);
+			} else {
+				const [response] = [].concat(await this.#rpc('set_properties', [{
+					siid: prop.siid,
+					piid: prop.piid,
+					value
+				}], signal) || []);
+				if (response?.code < 0)
+					throw new MiotError(response.code, { siid: prop.siid, piid: prop.piid, did: this.config.id });
+			}
+			this.#updateState(prop.key, value, 'set');
+			this.#poller?.boost();
+			this.client.log('info', `Property set to '${value}' successfully for "${this.getName()}"`);
+		} catch (err) {
+			this.client.log('error', `Failed to set property for "${this.getName()}":`, err);
+			throw err;
+		}
+	};
+
+	/**
+	 * Устанавливает значения нескольких свойств за один запрос.
+	 * Для MiIO и облака MIoT свойства отправляются одним пакетным `set_properties`,
+	 * для Bluetooth и свойств старого протокола miIO значения записываются последовательно.
+	 * Ошибки отдельных свойств не прерывают запись остальных и возвращаются в результате.
+	 * @param {Object<string, any>} values Объект, где ключи - ключи свойств, а значения - значения для установки.
+	 * @param {QueueOptions} [options] Опции очереди команд.
+	 * @returns {Promise<Object<string, SetPropertyResult>>} Результат записи для каждого ключа.
+	 * @throws {Error} Если пакетный запрос к устройству не удалось выполнить.
+	 */
+	async setProperties(values, options) {
+		return this.#queue.add(signal => this.#setProperties(values, signal), options);
+	};
+
+	/**
+	 * Устанавливает значения нескольких свойств в обход очереди команд.
+	 * @param {Object<string, any>} values Объект, где ключи - ключи свойств, а значения - значения для установки.
+	 * @param {AbortSignal} [signal] Сигнал отмены.
+	 * @returns {Promise<Object<string, SetPropertyResult>>}
+	 */
+	async #setProperties(values, signal) {
+		/** @type {Object<string, SetPropertyResult>} */
+		const results = {};
+		const batch = [];
+		this.client.log('debug', `Setting properties for "${this.getName()}" via ${this.connectionType}`, values);
+		for (const [key, value] of Object.entries(values)) {
+			const prop = this.properties[key];
+			try {
+				if (!prop)
+					throw new Error('Property not found');
+				if (!prop.access?.includes('write'))
+					throw new Error('The property does not support write');
+				if ((this.connectionType === 'bluetooth') || prop.prop) {
+					await this.#setProperty(prop, value, signal);
+					results[key] = { code: 0, message: MiotError.describe(0) };
+				} else
+					batch.push({
+						key,
 						siid: prop.siid,
 						piid: prop.piid,
-						value
-					}]);
-				else if (this.connectionType === 'cloud')
-					await this.client.miot.request(`/home/rpc/${this.config.id}`, {
-						method: 'set_properties',
-						params: [{
-							siid: prop.siid,
-							piid: prop.piid,
-							value
-						}]
+						value: this.#encodeValue(prop, value)
 					});
+			} catch (err) {
+				results[key] = {
+					code: (typeof err.code === 'number') ? err.code : -1,
+					message: err.message
+				};
 			}
-			this.client.log('info', `Property set to '${value}' successfully for "${this.getName()}"`);
+		}
+		if (batch.length) {
+			try {
+				const response = [].concat(await this.#rpc('set_properties', batch.map(({ siid, piid, value }) => ({ siid, piid, value })), signal) || []);
+				for (const { key, siid, piid, value } of batch) {
+					const code = response.find(item => ((item.siid === siid) && (item.piid === piid)))?.code ?? 0;
+					if (code >= 0)
+						this.#updateState(key, value, 'set');
+					results[key] = { code, message: MiotError.describe(code) };
+				}
+			} catch (err) {
+				this.client.log('error', `Failed to set properties for "${this.getName()}":`, err);
+				throw err;
+			}
+		}
+		this.#poller?.boost();
+		this.client.log('info', `Properties set for "${this.getName()}":`, results);
+		return results;
+	};
+
+	/**
+	 * Приводит значение к виду, ожидаемому устройством, и проверяет его по метаданным спецификации.
+	 * Символьные имена из `valueList` (например, 'sleep') преобразуются в числовые значения,
+	 * строки с числами приводятся к числам для числовых форматов.
+	 * @param {Property} prop Объект свойства.
+	 * @param {any} value Значение для установки.
+	 * @returns {any} Значение, готовое к отправке.
+	 * @throws {Error} Если значение отсутствует в `valueList` или выходит за пределы `valueRange`.
+	 */
+	#encodeValue(prop, value) {
+		const { format, valueList, valueRange } = /** @type {MiotProperty} */ (prop);
+		if (typeof value === 'string') {
+			if (valueList && isNaN(Number(value))) {
+				const name = Device.#valueName(value);
+				const item = valueList.find(({ description }) => (Device.#valueName(description) === name));
+				if (!item)
+					throw new Error(`Invalid value "${value}" for property '${prop.key}'. Allowed: ${valueList.map(({ description }) => Device.#valueName(description)).join(', ')}`);
+				value = item.value;
+			} else if (format === 'bool' && ['true', 'false'].includes(value))
+				value = (value === 'true');
+			else if (format && !['string', 'hex', 'bool'].includes(format) && (value.trim() !== '') && !isNaN(Number(value)))
+				value = Number(value);
+		}
+		if (valueList && !valueList.some(item => item.value === value))
+			throw new Error(`Invalid value "${value}" for property '${prop.key}'. Allowed: ${valueList.map(({ value, description }) => `${value} (${description})`).join(', ')}`);
+		if (valueRange && (typeof value === 'number')) {
+			const [min, max, step] = valueRange;
+			if ((value < min) || (value > max))
+				throw new Error(`Value ${value} for property '${prop.key}' is out of range [${min}, ${max}]`);
+			if (step && Number.isInteger(step) && Number.isInteger(min) && ((value - min) % step !== 0))
+				throw new Error(`Value ${value} for property '${prop.key}' does not match step ${step}`);
+		}
+		return value;
+	};
+
+	/**
+	 * Преобразует числовое значение свойства в символьное имя из `valueList` спецификации.
+	 * @param {Property} prop Объект свойства.
+	 * @param {any} value Значение, полученное от устройства.
+	 * @returns {any} Символьное имя или исходное значение, если соответствие не найдено.
+	 */
+	#decodeValue(prop, value) {
+		const item = /** @type {MiotProperty} */ (prop).valueList?.find(item => item.value === value);
+		return item ? Device.#valueName(item.description) : value;
+	};
+
+	/**
+	 * Вызывает RPC метод устройства напрямую через MiIO или через облако (`/home/rpc`).
+	 * @param {string} method Имя метода (например, `get_properties`, `get_prop`, `set_power`).
+	 * @param {any} params Параметры метода.
+	 * @param {AbortSignal} [signal] Сигнал отмены вызова.
+	 * @returns {Promise<any>} Поле `result` ответа устройства.
+	 * @throws {Error} Если тип подключения не поддерживает RPC вызовы.
+	 */
+	async #rpc(method, params, signal) {
+		try {
+			if (this.connectionType === 'miio') {
+				const result = await this.device.call(method, params, { signal });
+				this.#failures = 0;
+				return result;
+			}
+			if (this.connectionType === 'cloud')
+				return await this.client.miot.request(`/home/rpc/${this.config.id}`, {
+					method, params
+				}, { country: this.config.country, signal }).then(({ result }) => result);
 		} catch (err) {
-			this.client.log('error', `Failed to set property for "${this.getName()}":`, err);
+			if (err instanceof MiotError)
+				err.did ??= this.config.id;
+			else if (!signal?.aborted)
+				this.#reportFailure(err);
 			throw err;
 		}
+		throw new Error(`Method ${method} is not supported for ${this.connectionType} connection type.`);
+	};
+
+	/**
+	 * Запускает периодическую проверку доступности для MiIO и облачных подключений.
+	 * Проверка выполняется только при наличии активных подписок.
+	 */
+	#startHealthCheck() {
+		if (this.#healthTimer || !['miio', 'cloud'].includes(this.connectionType))
+			return;
+		this.#healthTimer = setInterval(() => this.#checkHealth(), (this.connectionType === 'cloud') ? HEALTH_CHECK_CLOUD_INTERVAL : HEALTH_CHECK_INTERVAL);
+		this.#healthTimer.unref?.();
+	};
+
+	/**
+	 * Останавливает проверку доступности.
+	 */
+	#stopHealthCheck() {
+		clearInterval(this.#healthTimer);
+		this.#healthTimer = null;
+	};
+
+	/**
+	 * Проверяет доступность устройства: повторный handshake для MiIO, статус `isOnline` для облака.
+	 * При потере связи запускает механизм переподключения через `external_disconnect`.
+	 */
+	async #checkHealth() {
+		if (!this.isConnected || (!Object.keys(this.notify).length && !Object.keys(this.#eventSubscriptions).length))
+			return;
+		try {
+			if (this.connectionType === 'miio') {
+				await this.#queue.add(() => this.device.handshake({ force: true }), { priority: QUEUE_PRIORITY.low });
+				this.#failures = 0;
+			} else if ((this.connectionType === 'cloud') && !(await this.#queue.add(() => this.#isCloudOnline(), { priority: QUEUE_PRIORITY.low })))
+				this.emit('external_disconnect', 'Cloud reports the device is offline');
+		} catch (err) {
+			this.client.log('debug', `Health check for "${this.getName()}" failed:`, err);
+			this.#reportFailure(err);
+		}
+	};
+
+	/**
+	 * Учитывает неудачное обращение к MiIO устройству. После `HEALTH_MAX_FAILURES` неудач подряд
+	 * устройство считается недоступным.
+	 * @param {Error} err Ошибка обращения.
+	 */
+	#reportFailure(err) {
+		if (!this.isConnected || (this.connectionType !== 'miio'))
+			return;
+		if (++this.#failures < HEALTH_MAX_FAILURES)
+			return;
+		this.#failures = 0;
+		this.emit('external_disconnect', `MiIO device is not responding (${err.message})`);
+	};
+
+	/**
+	 * Запрашивает у облака статус `isOnline` устройства.
+	 * @returns {Promise<boolean>} `false`, если облако сообщает, что устройство не в сети.
+	 */
+	async #isCloudOnline() {
+		const { result } = await this.client.miot.request('/home/device_list', {
+			getVirtualModel: false,
+			getHuamiDevices: 0,
+			dids: [this.config.id]
+		}, { country: this.config.country });
+		const device = (result?.list || []).find((/** @type {any} */ device) => (device.did === this.config.id));
+		return device?.isOnline !== false;
 	};
 
 	/**
 	 * Начинает прослушивание уведомлений об изменении значения свойства.
 	 * @param {string|Property} prop Ключ свойства или объект свойства.
 	 * @param {function} callback Функция обратного вызова, вызываемая при изменении значения свойства.
+	 * @param {object} [options] Опции подписки.
+	 * @param {number} [options.interval] Интервал опроса в миллисекундах для MiIO и облака (по умолчанию `NOTIFY_POLLING_INTERVAL`).
+	 * Все подписанные свойства опрашиваются общим пакетным запросом.
+	 * @param {boolean} [options.push=true] Для MiIO принимать push-уведомления `properties_changed` от устройства,
+	 * для облака - подписываться через MQTT-брокер push-уведомлений Xiaomi (если не отключено `cloudPush` клиента).
+	 * Пока уведомления по свойству не поступают (или подписка не удалась), оно опрашивается с обычным интервалом.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены подписки на уведомления Bluetooth характеристики.
+	 * @param {number} [options.timeout] Таймаут подписки на уведомления Bluetooth характеристики в миллисекундах.
 	 * @throws {Error} Если свойство не поддерживает уведомления.
 	 */
-	async startNotify(prop, callback) {
-		let lastValue = null;
+	async startNotify(prop, callback, { interval = NOTIFY_POLLING_INTERVAL, push = true, signal, timeout } = {}) {
 		if (typeof prop === 'string')
 			prop = this.properties[prop];
 		this.client.log('info', `Starting notifications for property '${prop.key}' on ${this.getName()}`);
@@ -671,45 +1274,156 @@ export default class Device extends EventEmitter {
 				prop,
 				callbacks: [],
 				characteristic: null,
-				timerId: null
+				interval
 			};
+		this.notify[prop.key].interval = Math.min(this.notify[prop.key].interval, interval);
 		this.notify[prop.key].callbacks.push(callback);
+		if (this.#state[prop.key])
+			callback(this.#state[prop.key].value);
 		if (this.connectionType === 'bluetooth') {
 			if (!this.notify[prop.key].characteristic) {
-				this.notify[prop.key].characteristic = await this.device.getCharacteristic(prop);
-				await this.notify[prop.key].characteristic.startNotifications();
+				this.notify[prop.key].characteristic = await this.#queue.add(async () => {
+					const characteristic = await this.device.getCharacteristic(prop);
+					await characteristic.startNotifications();
+					return characteristic;
+				}, { signal, timeout });
+				this.notify[prop.key].characteristic.on('valuechanged', (/** @type {any} */ buf) => {
+					const value = (prop.notify || prop.read)(buf);
+					this.client.log('debug', `Received BT notification for '${prop.key}': raw=${buf?.toString('hex')}, parsed=${JSON.stringify(value)}`);
+					this.#updateState(prop.key, value, 'notify');
+				});
 			}
-			this.notify[prop.key].characteristic.on('valuechanged', (/** @type {any} */ buf) => {
-				const value = (prop.notify || prop.read)(buf);
-				const str = JSON.stringify(value);
-				this.client.log('debug', `Received BT notification for '${prop.key}': raw=${buf?.toString('hex')}, parsed=${str}`);
-				if (str !== lastValue) {
-					lastValue = str;
-					callback(value);
+		} else {
+			if (push && (this.connectionType === 'miio'))
+				this.#startPush();
+			else if (push && (this.connectionType === 'cloud') && await this.#subscribeCloud(prop))
+				this.#pushKeys.add(prop.key);
+			if (!this.#poller)
+				this.#poller = new Poller(this);
+			await this.#poller.add(/** @type {Property} */ (prop), this.#pushKeys.has(prop.key) ? NOTIFY_PUSH_KEEPALIVE_INTERVAL : interval);
+		}
+	};
+
+	/**
+	 * Начинает прием push-уведомлений об изменении свойств от MiIO устройства.
+	 * Поддерживаются MIoT `properties_changed` (`[{siid, piid, value}]`) и старые miIO `props` (`{name: value}`).
+	 * Свойства, по которым пришло уведомление, переводятся на редкий опрос для поддержания сессии.
+	 */
+	#startPush() {
+		if (this.#stopPush || (typeof this.device?.on !== 'function'))
+			return;
+		const onValue = (/** @type {string} */ key, /** @type {any} */ value) => {
+			this.#updateState(key, value, 'notify');
+			if (this.notify[key] && !this.#pushKeys.has(key)) {
+				this.client.log('info', `Device "${this.getName()}" pushes '${key}', switching it from polling to push notifications.`);
+				this.#pushKeys.add(key);
+				this.#poller?.update(key, Math.max(this.notify[key].interval, NOTIFY_PUSH_KEEPALIVE_INTERVAL));
+			}
+		};
+		const onPropertiesChanged = (/** @type {any[]} */ params) => {
+			for (const { siid, piid, value } of [].concat(params || [])) {
+				const prop = Object.values(this.properties).find(prop => ((prop.siid === siid) && (prop.piid === piid)));
+				onValue(prop?.key || `${siid}/${piid}`, value);
+			}
+		};
+		const onProps = (/** @type {Object<string, any>} */ params) => {
+			for (const name in params) {
+				const prop = Object.values(this.properties).find(prop => (prop.prop === name));
+				onValue(prop?.key || name, params[name]);
+			}
+		};
+		this.device.on('properties_changed', onPropertiesChanged);
+		this.device.on('props', onProps);
+		this.#stopPush = () => {
+			this.device?.off?.('properties_changed', onPropertiesChanged);
+			this.device?.off?.('props', onProps);
+		};
+	};
+
+	/**
+	 * Подписывается на push-уведомления облака для свойства или события.
+	 * Пока соединение с брокером потеряно, свойство опрашивается с обычным интервалом, а события - через историю событий.
+	 * @param {Property|MiotEvent} item Объект свойства (`siid`/`piid`) или события (`siid`/`eiid`).
+	 * @returns {Promise<boolean>} `true`, если подписка оформлена; `false`, если нужно использовать опрос.
+	 */
+	async #subscribeCloud(item) {
+		const isEvent = ('eiid' in item);
+		const id = isEvent ? `event:${item.key}` : item.key;
+		if (this.#cloudPush.has(id))
+			return true;
+		if (this.client.config.cloudPush === false)
+			return false;
+		const subscription = { unsubscribe: null, active: true };
+		try {
+			subscription.unsubscribe = await this.client.miot.subscribe([{
+				did: this.config.id,
+				siid: item.siid,
+				...(isEvent ? { eiid: /** @type {MiotEvent} */ (item).eiid } : { piid: /** @type {Property} */ (item).piid })
+			}], message => {
+				if (String(message.did) !== String(this.config.id))
+					return;
+				if (message.eiid !== undefined)
+					this.#dispatchEvent({ siid: message.siid, eiid: message.eiid, arguments: message.arguments });
+				else {
+					const prop = Object.values(this.properties).find(prop => ((prop.siid === message.siid) && (prop.piid === message.piid)));
+					this.#updateState(prop?.key || `${message.siid}/${message.piid}`, message.value, 'notify');
+				}
+			}, {
+				country: this.config.country,
+				onStatus: connected => {
+					subscription.active = connected;
+					const notify = !isEvent && this.notify[item.key];
+					if (!notify)
+						return;
+					if (connected)
+						this.#pushKeys.add(item.key);
+					else
+						this.#pushKeys.delete(item.key);
+					this.#poller?.update(item.key, connected ? Math.max(notify.interval, NOTIFY_PUSH_KEEPALIVE_INTERVAL) : notify.interval);
 				}
 			});
-		} else {
-			if (!this.notify[prop.key].timerId) {
-				const poll = async () => {
-					try {
-						const value = await this.getProperty(prop);
-						const str = JSON.stringify(value)
-						this.client.log('debug', `Polling property '${prop.key}': parsed=${str}`);
-						if (str !== lastValue) {
-							lastValue = str;
-							this.notify[prop.key].callbacks.forEach(cb => cb(value));
-						}
-					} catch (err) {
-						this.client.log('error', `Error during polling for property '${prop.key}' on device "${this.getName()}":`, err);
-					}
-					this.notify[prop.key].timerId = setTimeout(poll, NOTIFY_POLLING_INTERVAL);
-				};
-				await poll();
-			} else if (lastValue)
-				callback(lastValue);
+			this.#cloudPush.set(id, subscription);
+			this.client.log('info', `Subscribed to cloud push for '${item.key}' on "${this.getName()}"`);
+			return true;
+		} catch (err) {
+			this.client.log('info', `Cloud push for '${item.key}' on "${this.getName()}" is unavailable, falling back to polling: ${err.message}`);
+			return false;
 		}
 	};
 
+	/**
+	 * Отписывается от push-уведомлений облака.
+	 * @param {string} id Ключ свойства или `event:<ключ события>`.
+	 */
+	async #unsubscribeCloud(id) {
+		const subscription = this.#cloudPush.get(id);
+		if (!subscription)
+			return;
+		this.#cloudPush.delete(id);
+		await subscription.unsubscribe();
+	};
+
+	/**
+	 * Сохраняет значение свойства в хранилище состояния.
+	 * Если значение изменилось, генерирует событие `change` и вызывает подписчиков `startNotify` для этого ключа.
+	 * @param {string} key Ключ свойства.
+	 * @param {any} value Новое значение.
+	 * @param {StateEntry['source']} source Источник значения.
+	 */
+	#updateState(key, value, source) {
+		if ((key === undefined) || (value === undefined) || (value instanceof Error))
+			return;
+		const entry = this.#state[key];
+		const ts = Date.now();
+		this.#state[key] = { value, ts, source };
+		if (entry && (JSON.stringify(entry.value) === JSON.stringify(value)))
+			return;
+		/** @type {StateChange} */
+		const change = { key, value, previous: entry?.value, source, ts };
+		this.emit('change', change);
+		this.notify[key]?.callbacks.forEach(cb => cb(value));
+	};
+
 	/**
 	 * Останавливает прослушивание уведомлений об изменении значения свойства.
 	 * @param {string|Property} prop Ключ свойства или объект свойства.
@@ -728,13 +1442,154 @@ export default class Device extends EventEmitter {
 						this.client.log('warn', `Error during StopNotify for ${prop.key} (bus may be closing):`, err);
 					}
 				}
-			} else if (this.notify[prop.key].timerId)
-				clearTimeout(this.notify[prop.key].timerId);
+			} else {
+				this.#poller?.remove(prop.key);
+				this.#pushKeys.delete(prop.key);
+				await this.#unsubscribeCloud(prop.key);
+			}
 			delete this.notify[prop.key];
+			if (!Object.keys(this.notify).length && this.#stopPush) {
+				this.#stopPush();
+				this.#stopPush = null;
+			}
 		}
 		this.client.log('debug', `Notifications stopped successfully for '${prop.key}'`);
 	};
 
+	/**
+	 * Подписывается на событие устройства (siid/eiid из спецификации MIoT).
+	 * Для MiIO события поступают через локальные сообщения `event_occured`,
+	 * для облака - через MQTT-брокер push-уведомлений Xiaomi, а если подписка не удалась - через периодический опрос истории событий устройства.
+	 * @param {string|MiotEvent} event Ключ события или объект события.
+	 * @param {(payload: EventPayload) => void} callback Функция обратного вызова, вызываемая при наступлении события.
+	 * @throws {Error} Если событие не найдено или тип подключения не поддерживает события.
+	 */
+	async onEvent(event, callback) {
+		if (typeof event === 'string')
+			event = this.events[event];
+		if (!event)
+			throw new Error('Event not found');
+		if ((this.connectionType !== 'miio') && (this.connectionType !== 'cloud'))
+			throw new Error(`Events are not supported for ${this.connectionType} connection type.`);
+		this.client.log('info', `Subscribing to event '${event.key}' on "${this.getName()}"`);
+		if (!this.#eventSubscriptions[event.key])
+			this.#eventSubscriptions[event.key] = {
+				event,
+				callbacks: []
+			};
+		this.#eventSubscriptions[event.key].callbacks.push(callback);
+		if (this.connectionType === 'cloud')
+			await this.#subscribeCloud(event);
+		this.#startEvents();
+	};
+
+	/**
+	 * Отписывается от события устройства.
+	 * @param {string|MiotEvent} event Ключ события или объект события.
+	 * @param {(payload: EventPayload) => void} [callback] Функция, переданная в `onEvent`. Если не указана, удаляются все подписчики события.
+	 */
+	async offEvent(event, callback) {
+		const key = (typeof event === 'string') ? event : event?.key;
+		const subscription = this.#eventSubscriptions[key];
+		if (!subscription)
+			return;
+		this.client.log('info', `Unsubscribing from event '${key}' on "${this.getName()}"`);
+		subscription.callbacks = callback ? subscription.callbacks.filter(cb => cb !== callback) : [];
+		if (!subscription.callbacks.length) {
+			delete this.#eventSubscriptions[key];
+			await this.#unsubscribeCloud(`event:${key}`);
+		}
+		if (!Object.keys(this.#eventSubscriptions).length)
+			this.#stopEvents();
+	};
+
+	/**
+	 * Запускает источник событий для текущего типа подключения, если он еще не запущен.
+	 */
+	#startEvents() {
+		if (this.#stopEventSource)
+			return;
+		if (this.connectionType === 'miio') {
+			if (typeof this.device?.on !== 'function') {
+				this.client.log('warn', `MiIO transport for "${this.getName()}" does not deliver unsolicited messages, events are unavailable.`);
+				return;
+			}
+			const listener = (/** @type {any} */ params) => this.#dispatchEvent(params);
+			this.device.on('event_occured', listener);
+			this.#stopEventSource = () => this.device?.off?.('event_occured', listener);
+		} else if (this.connectionType === 'cloud') {
+			let timerId = null;
+			let stopped = false;
+			let timeStart = Math.floor(Date.now() / 1_000);
+			const poll = async () => {
+				const timeEnd = Math.floor(Date.now() / 1_000);
+				for (const { event } of Object.values(this.#eventSubscriptions)) {
+					if (this.#cloudPush.get(`event:${event.key}`)?.active)
+						continue;
+					try {
+						const { result } = await this.#queue.add(() => this.client.miot.request('/v2/user/get_user_device_data', {
+							did: this.config.id,
+							key: `${event.siid}.${event.eiid}`,
+							type: 'event',
+							time_start: timeStart,
+							time_end: timeEnd,
+							limit: 10
+						}, { country: this.config.country }), { priority: QUEUE_PRIORITY.low });
+						for (const record of [].concat(result || []).sort((a, b) => (a.time - b.time))) {
+							let args = record.value;
+							try {
+								args = JSON.parse(args);
+							} catch (err) {}
+							this.#dispatchEvent({ siid: event.siid, eiid: event.eiid, arguments: args }, record.time * 1_000);
+						}
+					} catch (err) {
+						this.client.log('error', `Error during event polling for '${event.key}' on device "${this.getName()}":`, err);
+					}
+				}
+				timeStart = timeEnd + 1;
+				if (!stopped)
+					timerId = setTimeout(poll, NOTIFY_POLLING_INTERVAL);
+			};
+			timerId = setTimeout(poll, NOTIFY_POLLING_INTERVAL);
+			this.#stopEventSource = () => {
+				stopped = true;
+				clearTimeout(timerId);
+			};
+		}
+	};
+
+	/**
+	 * Останавливает активный источник событий.
+	 */
+	#stopEvents() {
+		if (!this.#stopEventSource)
+			return;
+		this.#stopEventSource();
+		this.#stopEventSource = null;
+	};
+
+	/**
+	 * Декодирует аргументы события и вызывает подписчиков.
+	 * @param {{ siid: number, eiid: number, arguments?: any[] }} params Параметры события от устройства.
+	 * @param {number} [ts] Метка времени события.
+	 */
+	#dispatchEvent({ siid, eiid, arguments: args = [] }, ts = Date.now()) {
+		const subscription = Object.values(this.#eventSubscriptions).find(({ event }) => ((event.siid === siid) && (event.eiid === eiid)));
+		if (!subscription)
+			return;
+		const { event, callbacks } = subscription;
+		const decoded = {};
+		[].concat(args).forEach((arg, i) => {
+			const isPair = (arg !== null) && (typeof arg === 'object') && ('piid' in arg);
+			const piid = isPair ? arg.piid : event.arguments?.[i];
+			const key = Object.values(this.properties).find(prop => ((prop.siid === siid) && (prop.piid === piid)))?.key || String(piid);
+			decoded[key] = isPair ? arg.value : arg;
+		});
+		this.client.log('debug', `Event '${event.key}' received on "${this.getName()}":`, decoded);
+		const payload = { key: event.key, siid, eiid, arguments: decoded, ts };
+		callbacks.forEach(cb => cb(payload));
+	};
+
 	/**
 	 * Начинает мониторинг рекламных пакетов устройства без создания постоянного соединения.
 	 * @param {function} callback Функция обратного вызова.
@@ -747,13 +1602,15 @@ export default class Device extends EventEmitter {
 		this.#monitoringCount++;
 		this.client.bluetooth.registerBindKey(this.config.mac, this.config.bindkey);
 		this.client.bluetooth.on(`advertisement:${this.config.mac}`, msg => {
-			const rssiChanged = this.#state.rssi === undefined || Math.abs(msg.rssi - this.#state.rssi) >= 10;
-			const params = { ...this.#state.params, ...msg.payload };
+			for (const key in msg.payload)
+				this.#updateState(key, msg.payload[key], 'advertisement');
+			const rssiChanged = this.#advertisement.rssi === undefined || Math.abs(msg.rssi - this.#advertisement.rssi) >= 10;
+			const params = { ...this.#advertisement.params, ...msg.payload };
 			const paramsStr = JSON.stringify(params);
 			if (paramsStr !== lastValue || rssiChanged) {
 				lastValue = paramsStr;
-				this.#state = { params, rssi: msg.rssi };
-				callback({ ...msg, params: this.#state.params });
+				this.#advertisement = { params, rssi: msg.rssi };
+				callback({ ...msg, params: this.#advertisement.params });
 			}
 		});
 		await this.client.bluetooth.startMonitoring();
@@ -774,9 +1631,22 @@ export default class Device extends EventEmitter {
 	 * Вызывает действие на устройстве.
 	 * @param {string|Action} action Ключ действия или объект действия.
 	 * @param {any[]} [value] Массив входных параметров для действия.
+	 * @param {QueueOptions} [options] Опции очереди команд.
 	 * @returns {Promise<object>} Результат выполнения действия.
+	 * @throws {MiotError} Если устройство вернуло код ошибки.
 	 */
-	async callAction(action, value) {
+	async callAction(action, value, options) {
+		return this.#queue.add(signal => this.#callAction(action, value, signal), options);
+	};
+
+	/**
+	 * Вызывает действие на устройстве в обход очереди команд.
+	 * @param {string|Action} action Ключ действия или объект действия.
+	 * @param {any[]} [value] Массив входных параметров для действия.
+	 * @param {AbortSignal} [signal] Сигнал отмены.
+	 * @returns {Promise<object>}
+	 */
+	async #callAction(action, value, signal) {
 		if (typeof action === 'string')
 			action = this.actions[action];
 		if (!action)
@@ -793,14 +1663,16 @@ export default class Device extends EventEmitter {
 			};
 			let result;
 			if (this.connectionType === 'miio')
-				result = await this.device.call('action', params);
+				result = await this.device.call('action', params, { signal });
 			else if (this.connectionType === 'cloud') {
 				result = await this.client.miot.request(`/miotspec/action`, {
 					method: 'action',
 					params
-				}).then(({ result }) => result);
+				}, { country: this.config.country, signal }).then(({ result }) => result);
 			} else
 				throw new Error(`Actions are not supported for ${this.connectionType} connection type.`);
+			if (result?.code < 0)
+				throw new MiotError(result.code, { siid: action.siid, aiid: action.aiid, did: this.config.id });
 			this.client.log('info', `Action '${action.key}' called successfully for "${this.getName()}"`);
 			return result;
 		} catch (err) {
@@ -810,87 +1682,166 @@ export default class Device extends EventEmitter {
 	};
 
 	/**
-	 * Обрабатывает ситуацию, когда соединение с устройством было разорвано извне
-	 * (например, по сигналу от D-Bus для Bluetooth или при ошибке сети для MiIO/Cloud).
-	 * Очищает состояние устройства и, если были активные подписки,
-	 * пытается автоматически переподключиться.
-	 * @param {string} reason Причина внешнего дисконнекта.
+	 * Переподключается к устройству по политике `reconnect` (конфигурация устройства имеет приоритет над конфигурацией клиента).
+	 * Восстанавливает подписки на свойства и события, активные на момент разрыва или сохраненные после неудачного переподключения.
+	 * Если процесс уже идет, возвращает его промис.
+	 * @param {object} [options] Опции переподключения.
+	 * @param {string} [options.reason='manual'] Причина переподключения (передается в событие `reconnecting`).
+	 * @param {('miio'|'bluetooth'|'cloud')} [options.connectionType] Тип подключения. По умолчанию - текущий или последний использованный.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены переподключения.
+	 * @param {number} [options.timeout] Максимальное время переподключения в миллисекундах, после которого процесс отменяется.
+	 * @returns {Promise<boolean>} `true`, если устройство подключено, `false`, если попытки исчерпаны.
+	 * @throws {Error} Если переподключение было отменено.
 	 */
-	async #handleExternalDisconnect(reason) {
-		if (!this.isConnected || this.isConnecting) {
-			this.client.log('debug', `Device "${this.getName()}" #handleExternalDisconnect skipped: not connected, no device, or already reconnecting.`);
-			return;
-		}
-		if (this.#reconnectController)
-			this.#reconnectController.abort();
-		this.client.log('warn', `Device "${this.getName()}" was externally disconnected. Reason: ${reason}.`);
-		const connectionType = this.connectionType;
-		const notify = [];
-		for (const key in this.notify) {
-			for (const callback of this.notify[key].callbacks) {
-				notify.push({
-					callback,
-					prop: this.notify[key].prop
-				});
-			}
+	async reconnect({ reason = 'manual', connectionType, signal: parentSignal, timeout } = {}) {
+		if (this.#reconnectPromise)
+			return this.#reconnectPromise;
+		const connectionTypes = (!connectionType && this.config.connectionTypes?.length) ? this.config.connectionTypes : null;
+		connectionType ??= this.connectionType || this.#lastConnectionType;
+		if (this.isConnected) {
+			this.#saveSubscriptions();
+			await this.disconnect();
 		}
-		await this.disconnect();
+		const policy = this.reconnectPolicy;
 		this.emit('reconnecting', { reason });
-		this.#reconnectController = new AbortController();
+		const controller = this.#reconnectController = new AbortController();
+		const cancel = createSignal({ signal: parentSignal, timeout });
+		if (cancel.signal.aborted)
+			controller.abort();
+		else
+			cancel.signal.addEventListener('abort', () => controller.abort(), { once: true });
 		this.#reconnectPromise = (async () => {
-			const signal = this.#reconnectController.signal;
+			const signal = controller.signal;
 			try {
 				if (signal.aborted)
 					throw new Error('Connection cancelled');
+				const maxAttempts = policy.maxAttemptsShort + policy.maxAttemptsLong;
 				let currentAttempt = 0;
-				let currentDelay = RECONNECT_INITIAL_DELAY;
+				let currentDelay = policy.initialDelay;
 				while (!signal.aborted && !this.isConnected) {
 					currentAttempt++;
-					const isShortAttemptPhase = currentAttempt <= RECONNECT_MAX_ATTEMPTS_SHORT;
-					const maxAttemptsInPhase = isShortAttemptPhase ? RECONNECT_MAX_ATTEMPTS_SHORT : RECONNECT_MAX_ATTEMPTS_SHORT + RECONNECT_MAX_ATTEMPTS_LONG;
-					if (currentAttempt > maxAttemptsInPhase) {
-						this.client.log('error', `All ${maxAttemptsInPhase} reconnect attempts failed for "${this.getName()}". Automatic reconnection for this event stopped. Next operation will attempt to connect.`);
+					const isShortAttemptPhase = currentAttempt <= policy.maxAttemptsShort;
+					const maxAttemptsInPhase = isShortAttemptPhase ? policy.maxAttemptsShort : maxAttempts;
+					if (!policy.infinite && (currentAttempt > maxAttemptsInPhase)) {
+						this.client.log('error', `All ${maxAttemptsInPhase} reconnect attempts failed for "${this.getName()}". Automatic reconnection for this event stopped. Next operation or reconnect() will attempt to connect.`);
 						this.emit('reconnect_failed', { attempts: maxAttemptsInPhase });
-						break;
+						return false;
 					}
 					try {
-						this.client.log('info', `Reconnect attempt ${currentAttempt}/${maxAttemptsInPhase} for "${this.getName()}" (phase: ${isShortAttemptPhase ? 'short' : 'long'}) using type ${connectionType}.`);
+						this.client.log('info', `Reconnect attempt ${currentAttempt}/${policy.infinite ? '∞' : maxAttemptsInPhase} for "${this.getName()}" (phase: ${isShortAttemptPhase ? 'short' : 'long'}) using ${connectionTypes ? 'types ' + connectionTypes.join(', ') : 'type ' + connectionType}.`);
 						if (signal.aborted)
 							throw new Error('Reconnection cancelled');
-						await this.connect(connectionType);
+						await this.#queue.add(() => (connectionTypes ? this.#connectWithFailover(connectionTypes) : this.connect(connectionType)), {
+							priority: QUEUE_PRIORITY.high,
+							signal
+						});
 						this.client.log('info', `Device "${this.getName()}" reconnected successfully on attempt ${currentAttempt}.`);
 					} catch (err) {
 						if (signal.aborted)
 							throw new Error('Reconnection cancelled');
-						if (isShortAttemptPhase && (currentAttempt === RECONNECT_MAX_ATTEMPTS_SHORT) && (RECONNECT_MAX_ATTEMPTS_LONG > 0)) {
+						if (isShortAttemptPhase && (currentAttempt === policy.maxAttemptsShort) && ((policy.maxAttemptsLong > 0) || policy.infinite)) {
 							this.client.log('info', `Switching to long reconnect attempts for "${this.getName()}"`);
-							currentDelay = RECONNECT_MAX_DELAY;
+							currentDelay = policy.maxDelay;
 						} else if (currentAttempt > 1)
-							currentDelay = Math.min(Math.floor(currentDelay * RECONNECT_FACTOR), RECONNECT_MAX_DELAY);
-						this.client.log('debug', `Waiting ${currentDelay / 1_000}s before next reconnect attempt for "${this.getName()}".`);
-						await sleep(currentDelay, signal);
-					}
-				}
-				if (this.isConnected && (notify.length > 0)) {
-					if (signal.aborted)
-						throw new Error('Reconnection cancelled');
-					this.client.log('info', `Restoring ${notify.length} subscriptions for "${this.getName()}" after successful reconnect.`);
-					for (const { prop, callback } of notify) {
-						if (signal.aborted)
-							throw new Error('Reconnection cancelled');
-						await this.startNotify(prop, callback);
+							currentDelay = Math.min(Math.floor(currentDelay * policy.factor), policy.maxDelay);
+						const delay = Math.max(0, Math.round(currentDelay * (1 + policy.jitter * (Math.random() * 2 - 1))));
+						this.client.log('debug', `Waiting ${delay / 1_000}s before next reconnect attempt for "${this.getName()}".`);
+						await sleep(delay, signal);
 					}
 				}
+				if (signal.aborted)
+					throw new Error('Reconnection cancelled');
+				await this.#restoreSubscriptions(signal);
+				return true;
 			} catch (err) {
 				if (!signal.aborted)
 					this.client.log('error', `Reconnection process failed for "${this.getName()}":`, err);
 				this.emit('reconnect_failed', { error: err.message });
-				throw err;
+				throw (cancel.signal.aborted ? getAbortError(cancel.signal) : err);
 			} finally {
+				cancel.clear();
 				this.#reconnectPromise = null;
 				this.#reconnectController = null;
 			}
 		})();
 		return this.#reconnectPromise;
 	};
+
+	/**
+	 * Запоминает активные подписки на свойства и события, чтобы восстановить их после переподключения.
+	 */
+	#saveSubscriptions() {
+		const notify = [];
+		for (const key in this.notify) {
+			for (const callback of this.notify[key].callbacks) {
+				notify.push({
+					callback,
+					prop: this.notify[key].prop,
+					interval: this.notify[key].interval
+				});
+			}
+		}
+		const events = [];
+		for (const key in this.#eventSubscriptions) {
+			for (const callback of this.#eventSubscriptions[key].callbacks) {
+				events.push({
+					callback,
+					event: this.#eventSubscriptions[key].event
+				});
+			}
+		}
+		if (notify.length || events.length)
+			this.#savedSubscriptions = { notify, events };
+	};
+
+	/**
+	 * Восстанавливает сохраненные подписки после успешного переподключения.
+	 * @param {AbortSignal} signal Сигнал отмены переподключения.
+	 */
+	async #restoreSubscriptions(signal) {
+		if (!this.isConnected || !this.#savedSubscriptions)
+			return;
+		const { notify, events } = this.#savedSubscriptions;
+		this.#savedSubscriptions = null;
+		if (notify.length > 0) {
+			this.client.log('info', `Restoring ${notify.length} subscriptions for "${this.getName()}" after successful reconnect.`);
+			for (const { prop, callback, interval } of notify) {
+				if (signal.aborted)
+					throw new Error('Reconnection cancelled');
+				await this.startNotify(prop, callback, { interval });
+			}
+		}
+		if (events.length > 0) {
+			this.client.log('info', `Restoring ${events.length} event subscriptions for "${this.getName()}" after successful reconnect.`);
+			for (const { event, callback } of events) {
+				if (signal.aborted)
+					throw new Error('Reconnection cancelled');
+				await this.onEvent(event, callback);
+			}
+		}
+	};
+
+	/**
+	 * Обрабатывает ситуацию, когда соединение с устройством было разорвано извне
+	 * (например, по сигналу от D-Bus для Bluetooth или при ошибке сети для MiIO/Cloud).
+	 * Очищает состояние устройства и, если переподключение разрешено политикой `reconnect`,
+	 * пытается автоматически переподключиться.
+	 * @param {string} reason Причина внешнего дисконнекта.
+	 */
+	async #handleExternalDisconnect(reason) {
+		if (!this.isConnected || this.isConnecting) {
+			this.client.log('debug', `Device "${this.getName()}" #handleExternalDisconnect skipped: not connected, no device, or already reconnecting.`);
+			return;
+		}
+		if (this.#reconnectController)
+			this.#reconnectController.abort();
+		this.client.log('warn', `Device "${this.getName()}" was externally disconnected. Reason: ${reason}.`);
+		this.#saveSubscriptions();
+		await this.disconnect();
+		if (!this.reconnectPolicy.enabled) {
+			this.client.log('info', `Automatic reconnection is disabled for "${this.getName()}".`);
+			return;
+		}
+		await this.reconnect({ reason }).catch(() => {});
+	};
 };
@@ -0,0 +1,79 @@
+import { MIOT_ERROR_CODES } from './constants.js';
+
+/**
+ * Ошибка, возвращенная устройством или облаком в виде кода MIoT.
+ * Содержит исходный код, его расшифровку и идентификаторы элемента спецификации, к которому относится ошибка.
+ * @extends Error
+ */
+export class MiotError extends Error {
+	/**
+	 * Код ошибки MIoT (например, -4001 или -704040003).
+	 * @type {number}
+	 */
+	code;
+
+	/**
+	 * Расшифровка кода ошибки.
+	 * @type {string}
+	 */
+	description;
+
+	/**
+	 * ID сервиса.
+	 * @type {number|undefined}
+	 */
+	siid;
+
+	/**
+	 * ID свойства.
+	 * @type {number|undefined}
+	 */
+	piid;
+
+	/**
+	 * ID действия.
+	 * @type {number|undefined}
+	 */
+	aiid;
+
+	/**
+	 * ID устройства.
+	 * @type {string|undefined}
+	 */
+	did;
+
+	/**
+	 * @param {number} code Код ошибки MIoT.
+	 * @param {object} [details] Дополнительные сведения об ошибке.
+	 * @param {string} [details.message] Сообщение, полученное от устройства или облака.
+	 * @param {number} [details.siid] ID сервиса.
+	 * @param {number} [details.piid] ID свойства.
+	 * @param {number} [details.aiid] ID действия.
+	 * @param {string} [details.did] ID устройства.
+	 */
+	constructor(code, { message, siid, piid, aiid, did } = {}) {
+		const description = MiotError.describe(code);
+		const target = [
+			(siid !== undefined) && `siid=${siid}`,
+			(piid !== undefined) && `piid=${piid}`,
+			(aiid !== undefined) && `aiid=${aiid}`
+		].filter(Boolean).join(', ');
+		super(`${description} (code ${code}${target ? `, ${target}` : ''})${(message && (message !== description)) ? `: ${message}` : ''}`);
+		this.name = 'MiotError';
+		this.code = code;
+		this.description = description;
+		this.siid = siid;
+		this.piid = piid;
+		this.aiid = aiid;
+		this.did = did;
+	};
+
+	/**
+	 * Возвращает текстовое описание кода результата MIoT.
+	 * @param {number} code Код результата.
+	 * @returns {string}
+	 */
+	static describe(code) {
+		return MIOT_ERROR_CODES[code] || 'Unknown error';
+	};
+};
@@ -3,19 +3,27 @@ import EventEmitter from 'events';
 import Device from './device.js';
 import Miot from './miot.js';
 import Bluetooth from './bluetooth.js';
-import { LOG_LEVELS, DEFAULT_LOG_LEVEL, LIB_ID, UUID, COUNTRIES } from './constants.js';
+import Registry from './registry.js';
+import { MiotError } from './errors.js';
+import { LOG_LEVELS, DEFAULT_LOG_LEVEL, LIB_ID, UUID, COUNTRIES, DISCOVERY_LOST_TIMEOUT, DISCOVERY_SWEEP_INTERVAL } from './constants.js';
 import { CREDENTIALS_FILE } from './paths.js';
 import { devices } from 'xmihome-devices';
-/** @import { Config as DeviceConfig, DiscoveredDevice } from './device.js' */
+/** @import { Config as DeviceConfig, DiscoveredDevice, ReconnectOptions, Place } from './device.js' */
+/** @import { RegistryEntry } from './registry.js' */
 
 /**
  * @typedef {Object} Credentials
- * @property {(typeof COUNTRIES)[number]} [country] Страна для облачного подключения (например, 'ru', 'cn').
+ * @property {(typeof COUNTRIES)[number]|'auto'} [country] Страна для облачного подключения (например, 'ru', 'cn').
+ *   Если не указана или равна 'auto', устройства ищутся во всех регионах из `COUNTRIES`.
  * @property {string} [username] Имя пользователя для облачного подключения.
  * @property {string} [password] Пароль для облачного подключения.
  * @property {string|number} [userId] ID пользователя Xiaomi. Если указан вместе с ssecurity и serviceToken, авторизация пропускается.
  * @property {string} [ssecurity] Ключ безопасности ssecurity. Если указан вместе с userId и serviceToken, авторизация пропускается.
  * @property {string} [serviceToken] Токен сервиса serviceToken. Если указан вместе с userId и ssecurity, авторизация пропускается.
+ * @property {string} [passToken] Долгоживущий токен аккаунта passToken. Используется для обновления serviceToken без ввода пароля.
+ * @property {string} [accessToken] OAuth access token для MQTT-брокера push-уведомлений облака. Если не указан, запрашивается по passToken.
+ * @property {string} [refreshToken] OAuth refresh token для обновления accessToken.
+ * @property {number} [accessTokenExpires] Время (мс), после которого accessToken считается устаревшим и обновляется.
  */
 
 /**
@@ -24,9 +32,41 @@ import { devices } from 'xmihome-devices';
  * @property {string} [credentialsFile] Путь к файлу с учетными данными.
  * @property {('miio'|'bluetooth'|'cloud')} [connectionType] Тип подключения по умолчанию.
  * @property {DeviceConfig[]} [devices] Массив устройств для поиска и подключения.
+ * @property {ReconnectOptions} [reconnect] Политика переподключения устройств по умолчанию.
+ * @property {number} [requestTimeout=5000] Таймаут HTTP-запроса к облаку Xiaomi в миллисекундах.
+ * @property {boolean} [cloudPush=true] Получать изменения свойств и события облачных устройств через MQTT-брокер
+ *   push-уведомлений Xiaomi. Если подписка не удалась или `false`, используется опрос.
+ * @property {string|false} [registryFile] Путь к файлу реестра устройств (по умолчанию `DEVICE_REGISTRY_FILE`).
+ *   `false` отключает сохранение реестра на диск.
  * @property {('none'|'error'|'warn'|'info'|'debug')} [logLevel='none'] Уровень логирования через console. По умолчанию 'none'.
  */
 
+/**
+ * Комната в доме Mi Home.
+ * @typedef {object} Room
+ * @property {number} id ID комнаты.
+ * @property {string} name Название комнаты.
+ * @property {number} homeId ID дома, к которому относится комната.
+ * @property {string[]} dids ID устройств в комнате.
+ */
+
+/**
+ * Дом Mi Home, собственный или открытый другим пользователем.
+ * @typedef {object} Home
+ * @property {number} id ID дома.
+ * @property {string} name Название дома.
+ * @property {string} [ownerId] ID пользователя Xiaomi, владеющего домом.
+ * @property {boolean} shared Дом принадлежит другому пользователю и открыт текущему.
+ * @property {string} [country] Регион облака, в котором зарегистрирован дом.
+ * @property {Room[]} rooms Комнаты дома.
+ * @property {string[]} dids ID устройств дома, не привязанных к комнатам.
+ */
+
+/**
+ * Устройство, обнаруженное непрерывным поиском (`startDiscovery`).
+ * @typedef {DiscoveredDevice & { rssi?: number }} LiveDevice
+ */
+
 /**
  * Класс для взаимодействия с устройствами Xiaomi Mi Home.
  * @extends EventEmitter
@@ -63,12 +103,30 @@ export default class XiaomiMiHome extends EventEmitter {
 	 */
 	#bluetooth;
 
+	/**
+	 * Постоянный реестр устройств.
+	 * Инициализируется лениво через геттер `registry`.
+	 * @type {Registry|undefined}
+	 */
+	#registry;
+
 	/**
 	 * Кэш для хранения активных экземпляров устройств (Device).
 	 * @type {Map<string, Device>}
 	 */
 	#deviceInstances = new Map();
 
+	/**
+	 * Состояние непрерывного поиска или `null`, если поиск не запущен.
+	 * `seen` - устройства в сети, где ключ - `key` записи реестра.
+	 * @type {{
+	 *   seen: Map<string, { device: LiveDevice, lastSeen: number }>,
+	 *   lostTimeout: number,
+	 *   cleanup: Array<() => void|Promise<void>>
+	 * }|null}
+	 */
+	#discovery = null;
+
 	/**
 	 * Конфигурация для подключения.
 	 * @type {Config}
@@ -123,13 +181,25 @@ export default class XiaomiMiHome extends EventEmitter {
 		return this.#bluetooth;
 	};
 
+	/**
+	 * Возвращает постоянный реестр устройств, объединяющий данные облака, MiIO и Bluetooth.
+	 * Перед чтением реестра вызовите `registry.load()`; `getDevices` и `getDevice` делают это сами.
+	 * @type {Registry}
+	 */
+	get registry() {
+		if (!this.#registry)
+			this.#registry = new Registry(this);
+		return this.#registry;
+	};
+
 	/**
 	 * Освобождает ресурсы, используемые экземпляром XiaomiMiHome.
-	 * В настоящее время останавливает Bluetooth-адаптер и связанные с ним процессы
+	 * Останавливает непрерывный поиск, Bluetooth-адаптер и связанные с ним процессы
 	 * (сканирование, подключенные устройства).
 	 * @returns {Promise<void>}
 	 */
 	async destroy() {
+		await this.stopDiscovery();
 		this.log('info', 'XiaomiMiHome client destroyed, all cached device instances disconnected.');
 		for (const [key, deviceInstance] of this.#deviceInstances.entries()) {
 			this.log('debug', `Destroying cached device instance for ${key}`);
@@ -147,18 +217,18 @@ export default class XiaomiMiHome extends EventEmitter {
 
 	/**
 	 * Получает список помещений (домов) пользователя.
-	 * @returns {Promise<Array<object>>} Массив объектов помещений.
+	 * @deprecated Используйте `getHomes`. Метод оставлен для совместимости и, как прежде, возвращает
+	 *   исходный `homelist` облака (с `roomlist`, `uid` и т.д.) только из региона учетных данных.
+	 * @param {object} [options] Опции запроса.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены запроса.
+	 * @param {number} [options.timeout] Таймаут запроса в миллисекундах.
+	 * @returns {Promise<object[]>} Список помещений в формате облака.
 	 */
-	async getHome() {
+	async getHome(options = {}) {
+		this.log('warn', 'getHome() is deprecated, use getHomes() instead');
 		this.log('debug', 'Requesting home list from cloud');
 		try {
-			const { result } = await this.miot.request('/v2/homeroom/gethome', {
-				fg: true,
-				fetch_share: true,
-				fetch_share_dev: true,
-				limit: 300,
-				app_ver: 7
-			});
+			const result = await this.#requestHomes(undefined, options);
 			this.log('info', `Successfully fetched ${result?.homelist?.length || 0} homes`);
 			for (const home of result.homelist) {
 				home.id = parseInt(home.id);
@@ -170,19 +240,115 @@ export default class XiaomiMiHome extends EventEmitter {
 		}
 	};
 
+	/**
+	 * Получает дома пользователя с комнатами, включая дома, открытые другими пользователями.
+	 * Если регион в учетных данных не указан или равен 'auto', опрашивает все регионы из `COUNTRIES`.
+	 * @param {object} [options] Опции запроса.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены запроса.
+	 * @param {number} [options.timeout] Таймаут каждого запроса в миллисекундах.
+	 * @returns {Promise<Home[]>} Дома пользователя.
+	 * @throws {Error} Если запрос к облаку завершился ошибкой (при опросе всех регионов - ошибкой во всех регионах) или был отменен.
+	 */
+	async getHomes(options = {}) {
+		const countries = await this.miot.getCountries();
+		const homes = [];
+		for (const country of countries) {
+			try {
+				homes.push(...await this.#fetchHomes(country, options));
+			} catch (err) {
+				if ((countries.length > 1) && !options.signal?.aborted) {
+					this.log('warn', `Failed to get homes from cloud region "${country}", skipping:`, err);
+					continue;
+				}
+				this.log('error', 'Failed to get homes:', err);
+				throw err;
+			}
+		}
+		this.log('info', `Successfully fetched ${homes.length} homes`);
+		return homes;
+	};
+
+	/**
+	 * Получает комнаты дома.
+	 * @param {number|string} homeId ID дома.
+	 * @param {object} [options] Опции запроса.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены запроса.
+	 * @param {number} [options.timeout] Таймаут каждого запроса в миллисекундах.
+	 * @returns {Promise<Room[]>} Комнаты дома.
+	 * @throws {Error} Если дом не найден или запрос к облаку завершился ошибкой.
+	 */
+	async getRooms(homeId, options = {}) {
+		const home = (await this.getHomes(options)).find(home => (home.id === Number(homeId)));
+		if (!home)
+			throw new Error(`Home ${homeId} not found`);
+		return home.rooms;
+	};
+
+	/**
+	 * Запрашивает у облака исходный список домов одного региона.
+	 * @param {string|undefined} country Регион облака (`undefined` - регион по умолчанию).
+	 * @param {{ signal?: AbortSignal, timeout?: number }} options Опции запроса.
+	 * @returns {Promise<{ homelist?: any[], share_home_list?: any[] }>} Поле `result` ответа `/v2/homeroom/gethome`.
+	 */
+	async #requestHomes(country, options) {
+		const { result } = await this.miot.request('/v2/homeroom/gethome', {
+			fg: true,
+			fetch_share: true,
+			fetch_share_dev: true,
+			limit: 300,
+			app_ver: 7
+		}, { ...options, country });
+		return result;
+	};
+
+	/**
+	 * Получает дома с комнатами из одного региона облака.
+	 * Дома, открытые другими пользователями, приходят в `homelist` (с чужим `uid`) или в `share_home_list`.
+	 * @param {string|undefined} country Регион облака (`undefined` - регион по умолчанию).
+	 * @param {{ signal?: AbortSignal, timeout?: number }} options Опции запроса.
+	 * @returns {Promise<Home[]>} Дома из региона.
+	 */
+	async #fetchHomes(country, options) {
+		const result = await this.#requestHomes(country, options);
+		const userId = String(this.miot.credentials?.userId ?? '');
+		return [
+			...(result?.homelist || []).map(home => ({ home, shared: false })),
+			...(result?.share_home_list || []).map(home => ({ home, shared: true }))
+		].map(({ home, shared }) => {
+			const id = parseInt(home.id);
+			return {
+				id,
+				name: home.name,
+				ownerId: home.uid && String(home.uid),
+				shared: shared || (!!home.uid && !!userId && (String(home.uid) !== userId)),
+				country,
+				rooms: (home.roomlist || []).map(room => ({
+					id: parseInt(room.id),
+					name: room.name,
+					homeId: id,
+					dids: (room.dids || []).map(String)
+				})),
+				dids: (home.dids || []).map(String)
+			};
+		});
+	};
+
 	/**
 	 * Получает данные об окружающей среде для указанного помещения.
 	 * @param {number} home_id Идентификатор помещения.
+	 * @param {object} [options] Опции запроса.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены запроса.
+	 * @param {number} [options.timeout] Таймаут запроса в миллисекундах.
 	 * @returns {Promise<object>} Объект с данными об окружающей среде.
 	 */
-	async getEnv(home_id) {
+	async getEnv(home_id, { signal, timeout } = {}) {
 		this.log('debug', `Requesting env data for home_id: ${home_id}`);
 		try {
 			const { result } = await this.miot.request('/v2/home/get_env_data', {
 				home_id,
 				timestamp: Math.floor(Date.now() / 1_000) - 300,
 				prop_event_device: ['temp', 'hum', 'pm25']
-			});
+			}, { signal, timeout });
 			this.log('info', `Successfully fetched env data for home_id: ${home_id}`);
 			return result;
 		} catch (err) {
@@ -193,11 +359,24 @@ export default class XiaomiMiHome extends EventEmitter {
 
 	/**
 	 * Создает и возвращает экземпляр класса Device для управления конкретным устройством.
-	 * @param {DeviceConfig} deviceConfig Конфигурация устройства.
+	 * Недостающие в конфигурации поля (токен, адрес, MAC, ID облака и т.д.) берутся из реестра устройств.
+	 * Если модель неизвестна, но известны IP-адрес и токен, модель определяется через `miIO.info`.
+	 * @param {DeviceConfig|DiscoveredDevice} deviceConfig Конфигурация устройства.
+	 * @param {object} [options] Опции получения устройства.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены запроса `miIO.info` и загрузки спецификации модели.
+	 * @param {number} [options.timeout] Общий таймаут запроса `miIO.info` и загрузки спецификации модели в миллисекундах.
 	 * @returns {Promise<Device>} Promise, который разрешится экземпляром класса Device.
+	 * @throws {Error} Если получение устройства отменено или превысило таймаут.
 	 */
-	async getDevice(deviceConfig) {
+	async getDevice(deviceConfig, { signal, timeout } = {}) {
 		this.log('debug', 'Getting device instance for:', deviceConfig);
+		await this.registry.load();
+		const entry = this.registry.find(deviceConfig);
+		if (entry) {
+			const { isOnline, ...known } = Registry.toConfig(entry);
+			deviceConfig = mergePreferDefined(deviceConfig, known);
+			this.log('debug', `Device config completed from registry entry ${entry.key}:`, deviceConfig);
+		}
 		const key = Device.getDeviceId(deviceConfig);
 		if (this.#deviceInstances.has(key)) {
 			const cachedInstance = this.#deviceInstances.get(key);
@@ -208,14 +387,35 @@ export default class XiaomiMiHome extends EventEmitter {
 			this.log('debug', `Cached instance ${key} found but seems disconnected. Removing from cache to allow recreation.`);
 			this.#deviceInstances.delete(key);
 		}
-		const instance = await Device.create(deviceConfig, this);
+		const cancel = createSignal({ signal, timeout });
+		let instance;
+		try {
+			if (!deviceConfig.model && deviceConfig.address && deviceConfig.token && !Device.findModel(deviceConfig))
+				deviceConfig = await this.#fetchMiioInfo(deviceConfig, cancel.signal);
+			if (cancel.signal.aborted)
+				throw getAbortError(cancel.signal);
+			const { info, ...config } = /** @type {DiscoveredDevice} */ (deviceConfig);
+			instance = await Device.create(config, this, { signal: cancel.signal });
+			if (info)
+				instance.info = info;
+		} finally {
+			cancel.clear();
+		}
 		this.log('debug', `Created new device instance: ${instance.constructor.name} for ${key}`);
 		this.#deviceInstances.set(key, instance);
+		const onDeviceConnected = (/** @type {'miio'|'bluetooth'|'cloud'} */ connectionType) => {
+			const { id, mac, address } = instance.config;
+			const model = instance.info?.model || instance.config.model;
+			this.registry.update({ id, mac, address, model }, connectionType);
+			this.registry.save();
+		};
 		const onDeviceDisconnect = () => {
 			this.log('debug', `Device instance ${key} reported self-disconnect. Removing from cache.`);
 			this.#deviceInstances.delete(key);
+			instance.off('connected', onDeviceConnected);
 			instance.off('disconnect', onDeviceDisconnect);
 		};
+		instance.on('connected', onDeviceConnected);
 		instance.on('disconnect', onDeviceDisconnect);
 		return instance;
 	};
@@ -223,9 +423,21 @@ export default class XiaomiMiHome extends EventEmitter {
 	/**
 	 * Получает список устройств.
 	 * Позволяет настроить тип поиска и прервать его досрочно с помощью callback-функции.
+	 * Найденные устройства заносятся в реестр (`registry`) и дополняются известными о них данными,
+	 * например, токеном из облака для устройства, найденного через MiIO. У MiIO устройств с известным токеном
+	 * запрашивается `miIO.info`: модель и сведения о прошивке, оборудовании и Wi-Fi (поле `info`).
 	 * @param {object} [options] Опции для поиска устройств.
 	 * @param {number} [options.timeout=10000] Таймаут для локального поиска в миллисекундах.
+	 *   Для облака - таймаут каждого запроса (по умолчанию `requestTimeout` из конфигурации).
+	 * @param {AbortSignal} [options.signal] Сигнал отмены поиска. При отмене поиск останавливается, а промис отклоняется.
 	 * @param {('miio'|'bluetooth'|'miio+bluetooth'|'cloud')} [options.connectionType] Предпочитаемый тип поиска.
+	 *   Если не указан, при заданных `addresses` используется 'miio'.
+	 * @param {string[]} [options.addresses] IP-адреса и диапазоны CIDR (например, `192.168.2.0/24`), на которые
+	 *   hello-пакеты MiIO отправляются напрямую в дополнение к широковещательной рассылке. Нужны для поиска
+	 *   в других VLAN и из сетей Docker (bridge).
+	 * @param {number|string} [options.home] Вернуть только устройства дома с этим ID или названием.
+	 * @param {number|string} [options.room] Вернуть только устройства комнаты с этим ID или названием.
+	 *   Привязка к дому и комнате берется из облака; локально найденные устройства фильтруются по данным реестра.
 	 * @param {(
 	 *   device: DiscoveredDevice,
 	 *   devices: DiscoveredDevice[],
@@ -242,64 +454,219 @@ export default class XiaomiMiHome extends EventEmitter {
 	 *       - `include: true`: Добавить устройство в итоговый список.
 	 *       - `stop: true`: Немедленно остановить поиск после обработки текущего устройства.
 	 * @returns {Promise<DiscoveredDevice[]>} Promise, который разрешится массивом объектов найденных устройств.
-	 * @throws {Error} Если запрошен тип 'cloud', но учетные данные не предоставлены, или если указан неверный `connectionType`.
+	 * @throws {Error} Если запрошен тип 'cloud', но учетные данные не предоставлены, если указан неверный `connectionType`
+	 *   или поиск был отменен.
 	 */
 	async getDevices({
-		timeout = 10_000,
+		timeout,
 		connectionType = this.config.connectionType,
-		onDeviceFound = null
+		onDeviceFound = null,
+		signal,
+		addresses,
+		home,
+		room
 	} = {}) {
-		const { username, password, userId, ssecurity, serviceToken } = this.config.credentials || {};
-		const hasCredentials = !!((username && password) || (userId && ssecurity && serviceToken) || this.config.credentialsFile);
-		const discoveryStrategy = connectionType || (hasCredentials ? 'cloud' : 'miio+bluetooth');
+		const credentialsError = Miot.getCredentialsError(this.config.credentials, this.config.credentialsFile);
+		const hasCredentials = !credentialsError;
+		const discoveryStrategy = connectionType || (addresses?.length ? 'miio' : (hasCredentials ? 'cloud' : 'miio+bluetooth'));
 		this.log('info', `Starting device discovery using strategy: "${discoveryStrategy}"`);
-		switch (discoveryStrategy) {
-			case 'cloud': {
-				if (!hasCredentials) {
-					const msg = 'Cannot fetch from cloud: credentials are required but missing.';
+		if ((home !== undefined) || (room !== undefined)) {
+			const callback = onDeviceFound;
+			const matches = (/** @type {Place|undefined} */ place, /** @type {number|string} */ ref) =>
+				(ref === undefined) || (!!place && [String(place.id), place.name].includes(String(ref)));
+			onDeviceFound = (device, devices, type) => {
+				if (!matches(device.home, home) || !matches(device.room, room))
+					return false;
+				return callback ? callback(device, devices, type) : true;
+			};
+		}
+		await this.registry.load();
+		try {
+			switch (discoveryStrategy) {
+				case 'cloud': {
+					if (!hasCredentials) {
+						const msg = `Cannot fetch from cloud: ${credentialsError}.`;
+						this.log('error', msg);
+						throw new Error(msg);
+					}
+					return await this.#getCloudDevices(onDeviceFound, { signal, timeout });
+				};
+				case 'miio':
+				case 'bluetooth':
+				case 'miio+bluetooth': {
+					return await this.#getLocalDevices(discoveryStrategy, timeout ?? 10_000, onDeviceFound, signal, addresses);
+				};
+				default: {
+					const msg = `Invalid connectionType: "${connectionType}". Allowed: 'cloud', 'miio', 'bluetooth' or undefined.`;
 					this.log('error', msg);
 					throw new Error(msg);
-				}
-				return this.#getCloudDevices(onDeviceFound);
-			};
-			case 'miio':
-			case 'bluetooth':
-			case 'miio+bluetooth': {
-				return this.#getLocalDevices(discoveryStrategy, timeout, onDeviceFound);
-			};
-			default: {
-				const msg = `Invalid connectionType: "${connectionType}". Allowed: 'cloud', 'miio', 'bluetooth' or undefined.`;
-				this.log('error', msg);
-				throw new Error(msg);
+				};
+			}
+		} finally {
+			await this.registry.save();
+		}
+	};
+
+	/**
+	 * Флаг, указывающий, запущен ли непрерывный поиск устройств.
+	 * @type {boolean}
+	 */
+	get isDiscovering() {
+		return !!this.#discovery;
+	};
+
+	/**
+	 * Запускает непрерывный поиск устройств в локальной сети (MiIO и/или Bluetooth).
+	 * В отличие от `getDevices`, поиск не ограничен по времени и сообщает о присутствии устройств событиями клиента:
+	 * - `device:found` `(device, type)` - устройство появилось в сети (впервые или после `device:lost`);
+	 * - `device:updated` `(device, changes, type)` - у устройства изменились IP-адрес, токен или RSSI,
+	 *   `changes` - список измененных полей (`'address'`, `'token'`, `'rssi'`);
+	 * - `device:lost` `(device)` - устройство не обнаруживалось дольше `lostTimeout`.
+	 * Найденные устройства заносятся в реестр. Повторный вызов во время поиска ничего не делает.
+	 * @param {object} [options] Опции поиска.
+	 * @param {'miio'|'bluetooth'|'miio+bluetooth'} [options.connectionType='miio+bluetooth'] Протоколы поиска.
+	 * @param {number} [options.lostTimeout=DISCOVERY_LOST_TIMEOUT] Время в миллисекундах, после которого устройство считается пропавшим.
+	 *   Должно быть больше интервала рассылки hello-пакетов MiIO (`MIIO_DISCOVERY_INTERVAL`).
+	 * @param {string[]} [options.addresses] IP-адреса и диапазоны CIDR для прямой рассылки hello-пакетов MiIO (см. `getDevices`).
+	 * @returns {Promise<void>}
+	 * @throws {Error} Если указан неверный `connectionType` или адрес, или не удалось запустить поиск Bluetooth при `connectionType: 'bluetooth'`.
+	 */
+	async startDiscovery({ connectionType = 'miio+bluetooth', lostTimeout = DISCOVERY_LOST_TIMEOUT, addresses } = {}) {
+		if (this.#discovery)
+			return;
+		if (!['miio', 'bluetooth', 'miio+bluetooth'].includes(connectionType)) {
+			const msg = `Invalid connectionType: "${connectionType}". Allowed: 'miio', 'bluetooth' or 'miio+bluetooth'.`;
+			this.log('error', msg);
+			throw new Error(msg);
+		}
+		const browser = connectionType.includes('miio') ? this.miot.miio.browse({ addresses }) : null;
+		const discovery = this.#discovery = { seen: new Map(), lostTimeout, cleanup: [] };
+		this.log('info', `Starting continuous discovery (${connectionType}), lost timeout ${lostTimeout}ms`);
+		await this.registry.load();
+		if (this.#discovery !== discovery) {
+			browser?.stop();
+			return;
+		}
+		const timer = setInterval(() => this.#sweepDiscovery(), Math.min(lostTimeout, DISCOVERY_SWEEP_INTERVAL));
+		discovery.cleanup.push(() => clearInterval(timer));
+		if (browser) {
+			const miioListener = (/** @type {object} */ dev) => this.#onDiscovered(dev, 'miio');
+			browser.on('seen', miioListener);
+			discovery.cleanup.push(() => {
+				browser.off('seen', miioListener);
+				browser.stop();
+			});
+			this.log('debug', 'Started continuous MiIO discovery.');
+		}
+		if (connectionType.includes('bluetooth')) {
+			const btListener = (/** @type {object} */ dev) => this.#onDiscovered(dev, 'bluetooth');
+			const btCleanup = async () => {
+				this.bluetooth.off('seen', btListener);
+				await this.bluetooth.stopDiscovery();
 			};
+			try {
+				this.bluetooth.on('seen', btListener);
+				await this.bluetooth.startDiscovery([...UUID]);
+			} catch (err) {
+				this.bluetooth.off('seen', btListener);
+				this.log('error', 'Failed to start Bluetooth discovery:', err);
+				if (connectionType === 'bluetooth') {
+					await this.stopDiscovery();
+					throw err;
+				}
+				return;
+			}
+			if (this.#discovery !== discovery)
+				return btCleanup();
+			discovery.cleanup.push(btCleanup);
+			this.log('debug', 'Started continuous Bluetooth discovery.');
 		}
 	};
 
+	/**
+	 * Останавливает непрерывный поиск, запущенный `startDiscovery`, и сохраняет реестр.
+	 * События `device:lost` для устройств в сети при этом не генерируются.
+	 * @returns {Promise<void>}
+	 */
+	async stopDiscovery() {
+		const discovery = this.#discovery;
+		if (!discovery)
+			return;
+		this.#discovery = null;
+		this.log('info', 'Stopping continuous discovery.');
+		for (const task of discovery.cleanup) {
+			try {
+				await task();
+			} catch (err) {
+				this.log('warn', 'Error during discovery cleanup:', err);
+			}
+		}
+		await this.registry.save();
+	};
+
 	/**
 	 * Получает список устройств из Xiaomi Cloud.
+	 * Если регион в учетных данных не указан или равен 'auto', опрашивает все регионы из `COUNTRIES`
+	 * и помечает каждое устройство регионом, в котором оно зарегистрировано.
 	 * @param {Function|null} onDeviceFound - Коллбэк от пользователя.
+	 * @param {{ signal?: AbortSignal, timeout?: number }} options - Опции отмены запросов.
 	 * @returns {Promise<DiscoveredDevice[]>} Promise с массивом устройств из облака.
 	 * @throws {Error} Перебрасывает ошибку от API в случае неудачного запроса.
 	 */
-	async #getCloudDevices(onDeviceFound) {
-		this.log('info', 'Fetching device list from Xiaomi Cloud');
-		try {
-			const { result } = await this.miot.request('/home/device_list', {});
-			this.log('info', `Found ${result.list.length} raw devices in the cloud.`);
-			this.log('debug', 'Raw cloud devices found:', result.list);
-			const devices = [];
-			this.config.devices = [];
-			for (const dev of result.list) {
-				let bindkey = '';
-				if (dev.did.startsWith('blt.')) {
-					const { result: get_beaconkey } = await this.miot.request('/v2/device/blt_get_beaconkey', {
-						did: dev.did,
-						pdid: 1
-					});
-					if (get_beaconkey?.beaconkey)
-						bindkey = get_beaconkey?.beaconkey;
+	async #getCloudDevices(onDeviceFound, options) {
+		const countries = await this.miot.getCountries();
+		this.log('info', `Fetching device list from Xiaomi Cloud (regions: ${countries.join(', ')})`);
+		const devices = [];
+		for (const country of countries) {
+			let list;
+			try {
+				const { result } = await this.miot.request('/home/device_list', {}, { ...options, country });
+				list = result?.list || [];
+			} catch (err) {
+				if ((countries.length > 1) && !options.signal?.aborted) {
+					this.log('warn', `Failed to get device list from cloud region "${country}", skipping:`, err);
+					continue;
 				}
-				const device = {
+				this.log('error', 'Failed to get device list from cloud:', err);
+				throw err;
+			}
+			this.log('info', `Found ${list.length} raw devices in the cloud region "${country}".`);
+			this.log('debug', 'Raw cloud devices found:', list);
+			/** @type {Map<string, { home: Place, room: Place|null }>|null} */
+			let places = null;
+			try {
+				places = new Map();
+				for (const home of await this.#fetchHomes(country, options)) {
+					const ref = { id: home.id, name: home.name };
+					for (const did of home.dids)
+						places.set(did, { home: ref, room: null });
+					for (const room of home.rooms) {
+						for (const did of room.dids)
+							places.set(did, { home: ref, room: { id: room.id, name: room.name } });
+					}
+				}
+			} catch (err) {
+				if (options.signal?.aborted)
+					throw err;
+				places = null;
+				this.log('warn', `Failed to get homes from cloud region "${country}", devices will have no home or room:`, err);
+			}
+			for (const dev of list) {
+				let bindkey = '';
+				if (dev.did.startsWith('blt.'))
+					try {
+						const { result: get_beaconkey } = await this.miot.request('/v2/device/blt_get_beaconkey', {
+							did: dev.did,
+							pdid: 1
+						}, { ...options, country });
+						if (get_beaconkey?.beaconkey)
+							bindkey = get_beaconkey?.beaconkey;
+					} catch (err) {
+						if (options.signal?.aborted)
+							throw err;
+						this.log('warn', `Failed to get beacon key for ${dev.did}:`, err);
+					}
+				const entry = this.registry.update({
 					id: dev.did,
 					name: dev.name,
 					model: dev.model,
@@ -307,17 +674,21 @@ export default class XiaomiMiHome extends EventEmitter {
 					address: dev.localip,
 					mac: dev.mac,
 					bindkey: bindkey,
+					country: country,
+					...(places && {
+						home: places.get(String(dev.did))?.home ?? null,
+						room: places.get(String(dev.did))?.room ?? null
+					})
+				}, 'cloud', { isOnline: dev.isOnline });
+				const device = {
+					...Registry.toConfig(entry),
 					isOnline: dev.isOnline
 				};
-				this.config.devices.push(device);
 				if (this.#processFoundDevice(device, devices, 'cloud', onDeviceFound))
-					break;
+					return devices;
 			}
-			return devices;
-		} catch (err) {
-			this.log('error', 'Failed to get device list from cloud:', err);
-			throw err;
 		}
+		return devices;
 	};
 
 	/**
@@ -326,12 +697,19 @@ export default class XiaomiMiHome extends EventEmitter {
 	 * @param {'miio'|'bluetooth'|'miio+bluetooth'} connectionType
 	 * @param {number} timeout
 	 * @param {Function|null} onDeviceFound - Коллбэк от пользователя.
+	 * @param {AbortSignal} [signal] - Сигнал отмены поиска.
+	 * @param {string[]} [addresses] - IP-адреса и диапазоны CIDR для прямой рассылки hello-пакетов MiIO.
 	 * @returns {Promise<DiscoveredDevice[]>} Promise с массивом найденных локально устройств.
+	 * @throws {Error} Если поиск был отменен или адрес некорректен.
 	 */
-	async #getLocalDevices(connectionType, timeout, onDeviceFound) {
+	async #getLocalDevices(connectionType, timeout, onDeviceFound, signal, addresses) {
 		const devices = [];
 		const cleanupTasks = [];
+		/** @type {Set<Promise<void>>} */
+		const pendingModels = new Set();
+		let startedMethods = 0;
 		let discoveryStopped = false;
+		let discoveryFinished = false;
 		let discoveryResolve;
 		const discoveryPromise = new Promise(resolve => { discoveryResolve = resolve; });
 		const discoveryStop = () => {
@@ -345,7 +723,7 @@ export default class XiaomiMiHome extends EventEmitter {
 			/** @type {DiscoveredDevice} */ device,
 			/** @type {'miio' | 'bluetooth'} */ type
 		) => {
-			if (discoveryStopped)
+			if (discoveryFinished)
 				return;
 			const isDuplicate = devices.some(d =>
 				(d.id && d.id === device.id) ||
@@ -354,28 +732,31 @@ export default class XiaomiMiHome extends EventEmitter {
 			);
 			if (isDuplicate)
 				return;
-			if (this.#processFoundDevice(device, devices, type, onDeviceFound))
+			if (this.#processFoundDevice(device, devices, type, onDeviceFound)) {
+				discoveryFinished = true;
 				discoveryStop();
+			}
 		};
 		this.log('info', `Starting local discovery (${connectionType}) for ${timeout}ms`);
 		try {
+			if (signal?.aborted)
+				throw getAbortError(signal);
 			const timer = setTimeout(discoveryStop, timeout);
 			cleanupTasks.push(() => clearTimeout(timer));
+			signal?.addEventListener('abort', discoveryStop, { once: true });
+			cleanupTasks.push(() => signal?.removeEventListener('abort', discoveryStop));
 			if (connectionType.includes('miio')) {
-				const browser = this.miot.miio.browse();
+				const browser = this.miot.miio.browse({ addresses });
 				const miioListener = (/** @type {object} */ dev) => {
 					if (discoveryStopped)
 						return;
-					const id = (dev.id || '').toString();
-					const model = dev.hostname?.replace(/_.*$/, '').replace(/-/g, '.');
-					const devConfig = this.config.devices?.find(d => (d.id === id) || (d.address === dev.address));
-					handleDeviceFound(mergePreferDefined(devConfig, {
-						id,
-						address: dev.address,
-						token: dev.token,
-						model: (model?.split('.').length >= 3) ? model : undefined,
-						isOnline: true
-					}, ['isOnline']), 'miio');
+					const { device } = this.#registerLocalDevice(dev, 'miio');
+					if (!device.token)
+						return handleDeviceFound(device, 'miio');
+					const task = this.#fetchMiioInfo(device, signal)
+						.then(resolved => handleDeviceFound(resolved, 'miio'))
+						.finally(() => pendingModels.delete(task));
+					pendingModels.add(task);
 				};
 				browser.on('available', miioListener);
 				cleanupTasks.push(() => {
@@ -383,20 +764,14 @@ export default class XiaomiMiHome extends EventEmitter {
 					browser.off('available', miioListener);
 					setTimeout(() => browser.stop(), 500);
 				});
+				startedMethods++;
 				this.log('debug', 'Started MiIO discovery.');
 			}
 			if (connectionType.includes('bluetooth')) {
 				const btListener = async (/** @type {object} */ dev) => {
 					if (discoveryStopped)
 						return;
-					const devModels = Device.findModel(dev)?.models;
-					const devConfig = this.config.devices?.find(d => (d.mac === dev.mac));
-					handleDeviceFound(mergePreferDefined(devConfig, {
-						name: dev.name,
-						mac: dev.mac,
-						model: devModels?.[0],
-						isOnline: true
-					}, ['isOnline']), 'bluetooth');
+					handleDeviceFound(this.#registerLocalDevice(dev, 'bluetooth').device, 'bluetooth');
 				};
 				try {
 					this.bluetooth.on('available', btListener);
@@ -406,18 +781,24 @@ export default class XiaomiMiHome extends EventEmitter {
 							this.bluetooth.off('available', btListener);
 							await this.bluetooth.stopDiscovery();
 						});
+						startedMethods++;
 						this.log('debug', 'Started Bluetooth discovery.');
 					}
 				} catch (err) {
 					this.log('error', 'Failed to start Bluetooth discovery:', err);
 				}
 			}
-			if (cleanupTasks.length <= 1) {
+			if (!startedMethods) {
 				this.log('warn', 'No discovery method was successfully started.');
 				discoveryStop();
 			}
 			await discoveryPromise;
+			await Promise.allSettled(pendingModels);
+			discoveryFinished = true;
+			if (signal?.aborted)
+				throw getAbortError(signal);
 		} finally {
+			discoveryFinished = true;
 			this.log('debug', 'Executing cleanup tasks.');
 			cleanupTasks.forEach(task => {
 				try {
@@ -431,6 +812,121 @@ export default class XiaomiMiHome extends EventEmitter {
 		return devices;
 	};
 
+	/**
+	 * Заносит устройство, найденное локальным поиском, в реестр и собирает его конфигурацию.
+	 * Поля из `config.devices` имеют приоритет над данными реестра. Для MiIO добавляется метка времени устройства `stamp` из ответа на hello.
+	 * @param {object} dev - Данные от MiioBrowser (`{ id, address, token? }`) или Bluetooth (`{ path, name, mac }`).
+	 * @param {'miio'|'bluetooth'} type - Тип обнаружения.
+	 * @returns {{ entry: RegistryEntry, device: DiscoveredDevice }} Запись реестра и конфигурация устройства.
+	 */
+	#registerLocalDevice(dev, type) {
+		let entry, devConfig;
+		if (type === 'miio') {
+			const id = (dev.id || '').toString();
+			const model = dev.hostname?.replace(/_.*$/, '').replace(/-/g, '.');
+			devConfig = this.config.devices?.find(d => (d.id === id) || (d.address === dev.address));
+			entry = this.registry.update({
+				id,
+				address: dev.address,
+				token: dev.token,
+				model: (model?.split('.').length >= 3) ? model : undefined
+			}, 'miio');
+		} else {
+			const devModels = Device.findModel(dev)?.models;
+			devConfig = this.config.devices?.find(d => (d.mac === dev.mac));
+			entry = this.registry.update({
+				name: dev.name,
+				mac: dev.mac,
+				model: devModels?.[0]
+			}, 'bluetooth');
+		}
+		return {
+			entry,
+			device: mergePreferDefined(devConfig, {
+				...Registry.toConfig(entry),
+				...((dev.stamp !== undefined) && { stamp: dev.stamp }),
+				isOnline: true
+			}, ['isOnline'])
+		};
+	};
+
+	/**
+	 * Запрашивает у MiIO устройства с известным токеном `miIO.info` и заносит модель в реестр.
+	 * Ошибки запроса (неверный токен, нет ответа) логируются, устройство возвращается без изменений.
+	 * @param {DiscoveredDevice} device - Устройство с `address` и `token`.
+	 * @param {AbortSignal} [signal] - Сигнал отмены запроса.
+	 * @returns {Promise<DiscoveredDevice>} Устройство с моделью (если она не была известна) и сведениями `info`.
+	 */
+	async #fetchMiioInfo(device, signal) {
+		try {
+			const info = await this.miot.miio.info({ address: device.address, token: device.token, retries: 1 }, { signal });
+			this.log('debug', `MiIO device ${device.id || ''} at ${device.address} info:`, info);
+			if (!info.model)
+				return { ...device, info };
+			this.registry.update({ id: device.id, address: device.address, model: info.model }, 'miio');
+			return { ...device, model: device.model || info.model, info };
+		} catch (err) {
+			this.log('debug', `Failed to get miIO.info from ${device.address}: ${err.message}`);
+			return device;
+		}
+	};
+
+	/**
+	 * Обрабатывает обнаружение устройства непрерывным поиском и генерирует `device:found` или `device:updated`.
+	 * @param {object} dev - Данные от MiioBrowser или Bluetooth (для Bluetooth - с полем `rssi`).
+	 * @param {'miio'|'bluetooth'} type - Тип обнаружения.
+	 */
+	#onDiscovered(dev, type) {
+		const discovery = this.#discovery;
+		if (!discovery)
+			return;
+		const { entry, device } = this.#registerLocalDevice(dev, type);
+		let state = discovery.seen.get(entry.key);
+		for (const [key, merged] of discovery.seen) {
+			if ((key !== entry.key) && !this.registry.get(key)) {
+				discovery.seen.delete(key);
+				state ??= merged;
+			}
+		}
+		const previous = state?.device;
+		/** @type {LiveDevice} */
+		const live = { ...device };
+		const rssi = dev.rssi ?? previous?.rssi;
+		if (rssi !== undefined)
+			live.rssi = rssi;
+		discovery.seen.set(entry.key, { device: live, lastSeen: Date.now() });
+		if (!previous) {
+			this.log('info', `${type} device found: ${live.model || live.name} at ${live.address || live.mac || live.id}`);
+			this.emit('device:found', live, type);
+			this.registry.save();
+			return;
+		}
+		const changes = ['address', 'token', 'rssi'].filter(field => (live[field] !== previous[field]));
+		if (!changes.length)
+			return;
+		this.log('debug', `${type} device ${live.address || live.mac || live.id} updated: ${changes.join(', ')}`);
+		this.emit('device:updated', live, changes, type);
+		if (changes.some(field => (field !== 'rssi')))
+			this.registry.save();
+	};
+
+	/**
+	 * Генерирует `device:lost` для устройств, которые не обнаруживались дольше `lostTimeout`.
+	 */
+	#sweepDiscovery() {
+		const discovery = this.#discovery;
+		if (!discovery)
+			return;
+		const now = Date.now();
+		for (const [key, { device, lastSeen }] of discovery.seen) {
+			if ((now - lastSeen) < discovery.lostTimeout)
+				continue;
+			discovery.seen.delete(key);
+			this.log('info', `Device lost: ${device.model || device.name} at ${device.address || device.mac || device.id}`);
+			this.emit('device:lost', { ...device, isOnline: false });
+		}
+	};
+
 	/**
 	 * Обрабатывает найденное устройство, применяя коллбэк onDeviceFound.
 	 * @param {DiscoveredDevice} device - Найденное устройство.
@@ -485,6 +981,64 @@ export function sleep(ms, signal = undefined) {
 	});
 };
 
+/**
+ * Возвращает причину отмены сигнала в виде ошибки.
+ * @param {AbortSignal} signal Сработавший сигнал отмены.
+ * @returns {Error} `signal.reason`, если это ошибка, иначе ошибка 'Operation cancelled'.
+ */
+export function getAbortError(signal) {
+	return (signal.reason instanceof Error) ? signal.reason : new Error('Operation cancelled');
+};
+
+/**
+ * Создает сигнал отмены, который срабатывает по внешнему сигналу или по истечении таймаута.
+ * При таймауте причиной отмены становится ошибка с кодом `ETIMEDOUT`.
+ * @param {object} [options] Опции отмены.
+ * @param {AbortSignal} [options.signal] Внешний сигнал отмены.
+ * @param {number} [options.timeout] Таймаут в миллисекундах. Если не указан, сигнал срабатывает только по внешнему сигналу.
+ * @returns {{ signal: AbortSignal, clear: () => void }} Сигнал и функция, снимающая таймер и подписку на внешний сигнал.
+ */
+export function createSignal({ signal, timeout } = {}) {
+	const controller = new AbortController();
+	let timerId = null;
+	const onAbort = () => controller.abort(getAbortError(signal));
+	if (signal?.aborted)
+		onAbort();
+	else {
+		signal?.addEventListener('abort', onAbort, { once: true });
+		if (timeout > 0)
+			timerId = setTimeout(() => controller.abort(Object.assign(new Error(`Operation timed out after ${timeout}ms`), { code: 'ETIMEDOUT' })), timeout);
+	}
+	return {
+		signal: controller.signal,
+		clear: () => {
+			clearTimeout(timerId);
+			signal?.removeEventListener('abort', onAbort);
+		}
+	};
+};
+
+/**
+ * Ожидает промис, позволяя прервать ожидание сигналом.
+ * Сама операция при этом не отменяется, прерывается только ожидание ее результата.
+ * @template T
+ * @param {Promise<T>} promise Ожидаемый промис.
+ * @param {AbortSignal} [signal] Сигнал отмены.
+ * @returns {Promise<T>} Результат промиса.
+ * @throws {Error} Причина отмены, если сигнал сработал раньше.
+ */
+export function abortable(promise, signal) {
+	if (!signal)
+		return promise;
+	if (signal.aborted)
+		return Promise.reject(getAbortError(signal));
+	return new Promise((resolve, reject) => {
+		const onAbort = () => reject(getAbortError(signal));
+		signal.addEventListener('abort', onAbort, { once: true });
+		promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+	});
+};
+
 /**
  * Сливает два объекта. Свойства из `priorityObj` имеют приоритет,
  * но только если их значение не `undefined`.
@@ -526,6 +1080,6 @@ export function createFallbackProxy(target, fallback) {
 	return /** @type {T & F} */ (proxy);
 };
 
-export { XiaomiMiHome, Device, Miot, Bluetooth, CREDENTIALS_FILE };
+export { XiaomiMiHome, Device, Miot, Bluetooth, Registry, MiotError, CREDENTIALS_FILE };
 
 Device.registerModels(devices);
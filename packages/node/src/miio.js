@@ -0,0 +1,737 @@
+import EventEmitter from 'events';
+import crypto from 'crypto';
+import dgram from 'dgram';
+import os from 'os';
+import { MiotError } from './errors.js';
+import { abortable, getAbortError } from './index.js';
+import { MIIO_PORT, MIIO_TIMEOUT, MIIO_RETRIES, MIIO_HANDSHAKE_TTL, MIIO_DISCOVERY_INTERVAL, MIIO_PROBE_MAX_ADDRESSES } from './constants.js';
+/** @import { XiaomiMiHome } from './index.js' */
+
+/**
+ * Размер заголовка пакета MiIO в байтах.
+ */
+const HEADER_SIZE = 32;
+
+/**
+ * Коды ошибок устройства, после которых нужно сдвинуть идентификатор сообщения и повторить запрос.
+ */
+const RETRY_ERROR_CODES = [-9999, -30001];
+
+/**
+ * Вычисляет MD5 хеш от переданных буферов.
+ * @param {...Buffer} buffers Буферы для хеширования.
+ * @returns {Buffer} MD5 хеш.
+ */
+function md5(...buffers) {
+	const hash = crypto.createHash('md5');
+	for (const buffer of buffers)
+		hash.update(buffer);
+	return hash.digest();
+};
+
+/**
+ * Создает hello-пакет, с которого начинается обмен с устройством.
+ * @returns {Buffer} Hello-пакет.
+ */
+function createHello() {
+	const packet = Buffer.alloc(HEADER_SIZE, 0xff);
+	packet.writeUInt16BE(0x2131, 0);
+	packet.writeUInt16BE(HEADER_SIZE, 2);
+	return packet;
+};
+
+/**
+ * Разбирает заголовок пакета MiIO.
+ * @param {Buffer} packet Пакет, полученный от устройства.
+ * @returns {{ id: number, stamp: number, checksum: Buffer, data: Buffer }|null} Поля заголовка и зашифрованные данные или `null`, если пакет некорректен.
+ */
+function parsePacket(packet) {
+	if ((packet.length < HEADER_SIZE) || (packet.readUInt16BE(0) !== 0x2131))
+		return null;
+	return {
+		id: packet.readUInt32BE(8),
+		stamp: packet.readUInt32BE(12),
+		checksum: packet.subarray(16, 32),
+		data: packet.subarray(HEADER_SIZE, packet.readUInt16BE(2))
+	};
+};
+
+/**
+ * Извлекает токен из ответа на hello-пакет.
+ * Большинство устройств скрывают токен, заполняя поле байтами 0x00 или 0xff.
+ * @param {Buffer} checksum Поле контрольной суммы из заголовка.
+ * @returns {string|undefined} Токен в виде hex-строки или `undefined`, если токен скрыт.
+ */
+function revealedToken(checksum) {
+	if (checksum.every(byte => byte === 0x00) || checksum.every(byte => byte === 0xff))
+		return;
+	return checksum.toString('hex');
+};
+
+/**
+ * Сведения об устройстве из ответа на `miIO.info`.
+ * @typedef {object} MiioInfo
+ * @property {string} [model] Модель устройства (например, `zhimi.airpurifier.v7`).
+ * @property {string} [firmware] Версия прошивки (`fw_ver`).
+ * @property {string} [hardware] Версия оборудования (`hw_ver`).
+ * @property {string} [mac] MAC-адрес Wi-Fi модуля (в верхнем регистре).
+ * @property {number} [rssi] Уровень сигнала Wi-Fi в dBm.
+ * @property {{ ssid?: string, bssid?: string, rssi?: number, channel?: number }} [ap] Точка доступа, к которой подключено устройство.
+ */
+
+/**
+ * Приводит ответ на `miIO.info` к объекту `MiioInfo`.
+ * @param {any} result Поле `result` ответа устройства.
+ * @returns {MiioInfo} Сведения об устройстве; отсутствующие в ответе поля не заполняются.
+ */
+function parseInfo(result) {
+	const { model, fw_ver, hw_ver, mac, ap } = result || {};
+	const info = {
+		model,
+		firmware: fw_ver,
+		hardware: hw_ver,
+		mac: mac?.toUpperCase(),
+		rssi: ap?.rssi,
+		ap: ap && {
+			ssid: ap.ssid,
+			bssid: ap.bssid?.toUpperCase(),
+			rssi: ap.rssi,
+			channel: ap.primary
+		}
+	};
+	for (const key of Object.keys(info)) {
+		if ((info[key] === undefined) || (info[key] === ''))
+			delete info[key];
+	}
+	return info;
+};
+
+/**
+ * Подключение к одному MiIO устройству по UDP.
+ * Выполняет handshake, шифрует запросы и сопоставляет ответы по идентификатору сообщения.
+ * Сообщения, инициированные самим устройством (например, `event_occured`),
+ * генерируются как события с именем метода.
+ */
+export class MiioDevice extends EventEmitter {
+	/**
+	 * IP-адрес устройства.
+	 * @type {string}
+	 */
+	address;
+
+	/**
+	 * UDP порт устройства.
+	 * @type {number}
+	 */
+	port = MIIO_PORT;
+
+	/**
+	 * Идентификатор устройства (did), полученный при handshake.
+	 * @type {number|undefined}
+	 */
+	id;
+
+	/**
+	 * Таймаут ожидания ответа на один пакет в миллисекундах.
+	 * @type {number}
+	 */
+	timeout = MIIO_TIMEOUT;
+
+	/**
+	 * Количество попыток отправки запроса.
+	 * @type {number}
+	 */
+	retries = MIIO_RETRIES;
+
+	/**
+	 * Токен устройства.
+	 * @type {Buffer}
+	 */
+	#token;
+
+	/**
+	 * Ключ AES-128-CBC, производный от токена.
+	 * @type {Buffer}
+	 */
+	#key;
+
+	/**
+	 * Вектор инициализации AES-128-CBC, производный от токена.
+	 * @type {Buffer}
+	 */
+	#iv;
+
+	/**
+	 * UDP сокет для обмена с устройством.
+	 * @type {dgram.Socket|null}
+	 */
+	#socket = null;
+
+	/**
+	 * Последняя метка времени устройства (stamp) из ответа на handshake.
+	 * @type {number}
+	 */
+	#stamp = 0;
+
+	/**
+	 * Локальное время получения `#stamp` в миллисекундах.
+	 * @type {number}
+	 */
+	#stampTime = 0;
+
+	/**
+	 * Идентификатор следующего сообщения.
+	 * @type {number}
+	 */
+	#messageId = 0;
+
+	/**
+	 * Ожидающий ответ на hello-пакет.
+	 * @type {((packet: ReturnType<typeof parsePacket>) => void)|null}
+	 */
+	#helloResolver = null;
+
+	/**
+	 * Текущий handshake, если он выполняется.
+	 * @type {Promise<void>|null}
+	 */
+	#handshakePromise = null;
+
+	/**
+	 * Запросы, ожидающие ответа, где ключ - идентификатор сообщения.
+	 * @type {Map<number, { resolve: (value: any) => void, reject: (reason: any) => void }>}
+	 */
+	#pending = new Map();
+
+	/**
+	 * Экземпляр класса XiaomiMiHome.
+	 * @type {XiaomiMiHome|undefined}
+	 */
+	client;
+
+	/**
+	 * @param {object} options Параметры подключения.
+	 * @param {string} options.address IP-адрес устройства.
+	 * @param {string} options.token Токен устройства (32 hex-символа).
+	 * @param {number} [options.port] UDP порт устройства.
+	 * @param {number} [options.timeout] Таймаут ожидания ответа в миллисекундах.
+	 * @param {number} [options.retries] Количество попыток отправки запроса.
+	 * @param {XiaomiMiHome} [client] Экземпляр клиента для логирования.
+	 */
+	constructor({ address, token, port, timeout, retries }, client) {
+		super();
+		if (!/^[0-9a-f]{32}$/i.test(token || ''))
+			throw new Error('MiIO token must be a 32 character hex string');
+		this.address = address;
+		this.port = port ?? this.port;
+		this.timeout = timeout ?? this.timeout;
+		this.retries = retries ?? this.retries;
+		this.client = client;
+		this.#token = Buffer.from(token, 'hex');
+		this.#key = md5(this.#token);
+		this.#iv = md5(this.#key, this.#token);
+		this.#messageId = Math.floor(Math.random() * 10_000) + 1;
+	};
+
+	/**
+	 * Текущая метка времени устройства, вычисленная от последнего handshake.
+	 * @type {number}
+	 */
+	get stamp() {
+		return this.#stamp + Math.floor((Date.now() - this.#stampTime) / 1_000);
+	};
+
+	/**
+	 * Выполняет handshake с устройством: получает его идентификатор и метку времени.
+	 * @param {object} [options] Опции handshake.
+	 * @param {boolean} [options.force=false] Выполнить handshake, даже если предыдущий еще действителен.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены ожидания handshake.
+	 * @returns {Promise<void>}
+	 * @throws {Error} Если устройство не ответило или ожидание отменено.
+	 */
+	async handshake({ force = false, signal } = {}) {
+		if (!force && this.#stampTime && ((Date.now() - this.#stampTime) < MIIO_HANDSHAKE_TTL))
+			return;
+		if (!this.#handshakePromise) {
+			this.#handshakePromise = (async () => {
+				await this.#open();
+				let lastError;
+				for (let attempt = 1; attempt <= this.retries; attempt++) {
+					try {
+						const packet = await new Promise((resolve, reject) => {
+							const timer = setTimeout(() => {
+								this.#helloResolver = null;
+								reject(Object.assign(new Error(`MiIO handshake with ${this.address} timed out`), { code: 'ETIMEDOUT' }));
+							}, this.timeout);
+							this.#helloResolver = packet => {
+								clearTimeout(timer);
+								this.#helloResolver = null;
+								resolve(packet);
+							};
+							this.#socket.send(createHello(), this.port, this.address, err => {
+								if (err) {
+									clearTimeout(timer);
+									this.#helloResolver = null;
+									reject(err);
+								}
+							});
+						});
+						this.id = packet.id;
+						this.#stamp = packet.stamp;
+						this.#stampTime = Date.now();
+						this.client?.log('debug', `MiIO handshake with ${this.address} succeeded (id: ${this.id}, stamp: ${this.#stamp})`);
+						return;
+					} catch (err) {
+						lastError = err;
+						this.client?.log('debug', `MiIO handshake attempt ${attempt}/${this.retries} with ${this.address} failed: ${err.message}`);
+					}
+				}
+				throw lastError;
+			})().finally(() => {
+				this.#handshakePromise = null;
+			});
+		}
+		return abortable(this.#handshakePromise, signal);
+	};
+
+	/**
+	 * Вызывает метод устройства.
+	 * При таймауте выполняет повторный handshake (синхронизацию stamp) и повторяет запрос,
+	 * при ошибках -9999/-30001 сдвигает идентификатор сообщения.
+	 * @param {string} method Имя метода (например, `get_properties`).
+	 * @param {any} [params=[]] Параметры метода.
+	 * @param {object} [options] Опции вызова.
+	 * @param {number} [options.retries] Количество попыток (по умолчанию `this.retries`).
+	 * @param {number} [options.timeout] Таймаут ожидания ответа (по умолчанию `this.timeout`).
+	 * @param {AbortSignal} [options.signal] Сигнал отмены вызова.
+	 * @returns {Promise<any>} Поле `result` ответа устройства.
+	 * @throws {MiotError|Error} Ошибка устройства (`MiotError`), таймаут или отмена вызова.
+	 */
+	async call(method, params = [], { retries = this.retries, timeout = this.timeout, signal } = {}) {
+		let lastError;
+		for (let attempt = 1; attempt <= retries; attempt++) {
+			try {
+				await this.handshake({ force: attempt > 1, signal });
+				return await this.#send(method, params, timeout, signal);
+			} catch (err) {
+				lastError = err;
+				if (signal?.aborted)
+					throw err;
+				if (RETRY_ERROR_CODES.includes(err.code))
+					this.#messageId += 100;
+				else if (err.code !== 'ETIMEDOUT')
+					throw err;
+				this.client?.log('debug', `MiIO call "${method}" to ${this.address} failed (attempt ${attempt}/${retries}): ${err.message}`);
+			}
+		}
+		throw lastError;
+	};
+
+	/**
+	 * Запрашивает сведения об устройстве (`miIO.info`): модель, версии прошивки и оборудования, MAC-адрес, параметры Wi-Fi.
+	 * @param {object} [options] Опции вызова (см. `call`).
+	 * @param {number} [options.retries] Количество попыток.
+	 * @param {number} [options.timeout] Таймаут ожидания ответа.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены вызова.
+	 * @returns {Promise<MiioInfo>} Сведения об устройстве.
+	 * @throws {MiotError|Error} Ошибка устройства, таймаут (в том числе при неверном токене) или отмена вызова.
+	 */
+	async info(options) {
+		return parseInfo(await this.call('miIO.info', [], options));
+	};
+
+	/**
+	 * Закрывает сокет и отклоняет все ожидающие запросы.
+	 */
+	async destroy() {
+		for (const { reject } of this.#pending.values())
+			reject(new Error('MiIO device destroyed'));
+		this.#pending.clear();
+		this.#stampTime = 0;
+		if (this.#socket) {
+			this.#socket.removeAllListeners();
+			this.#socket.close();
+			this.#socket = null;
+		}
+	};
+
+	/**
+	 * Открывает UDP сокет, если он еще не открыт.
+	 * @returns {Promise<void>}
+	 */
+	async #open() {
+		if (this.#socket)
+			return;
+		const socket = dgram.createSocket('udp4');
+		socket.on('message', (msg, rinfo) => {
+			if (rinfo.address === this.address)
+				this.#onMessage(msg);
+		});
+		socket.on('error', err => {
+			this.client?.log('error', `MiIO socket error for ${this.address}:`, err);
+		});
+		await new Promise(resolve => socket.bind(0, () => resolve(undefined)));
+		this.#socket = socket;
+	};
+
+	/**
+	 * Шифрует и отправляет запрос, ожидая ответа с тем же идентификатором.
+	 * @param {string} method Имя метода.
+	 * @param {any} params Параметры метода.
+	 * @param {number} timeout Таймаут ожидания ответа.
+	 * @param {AbortSignal} [signal] Сигнал отмены ожидания ответа.
+	 * @returns {Promise<any>} Поле `result` ответа устройства.
+	 */
+	#send(method, params, timeout, signal) {
+		if (signal?.aborted)
+			return Promise.reject(getAbortError(signal));
+		const id = this.#nextId();
+		const payload = { id, method, params };
+		this.client?.log('debug', `MiIO -> ${this.address}:`, payload);
+		return new Promise((resolve, reject) => {
+			const onAbort = () => this.#pending.get(id)?.reject(getAbortError(signal));
+			const timer = setTimeout(() => {
+				this.#pending.delete(id);
+				signal?.removeEventListener('abort', onAbort);
+				reject(Object.assign(new Error(`MiIO call "${method}" to ${this.address} timed out`), { code: 'ETIMEDOUT' }));
+			}, timeout);
+			signal?.addEventListener('abort', onAbort, { once: true });
+			this.#pending.set(id, {
+				resolve: value => {
+					clearTimeout(timer);
+					signal?.removeEventListener('abort', onAbort);
+					resolve(value);
+				},
+				reject: err => {
+					clearTimeout(timer);
+					signal?.removeEventListener('abort', onAbort);
+					reject(err);
+				}
+			});
+			this.#socket.send(this.#encode(payload), this.port, this.address, err => {
+				if (err)
+					this.#pending.get(id)?.reject(err);
+			});
+		}).finally(() => this.#pending.delete(id));
+	};
+
+	/**
+	 * Возвращает идентификатор следующего сообщения.
+	 * @returns {number}
+	 */
+	#nextId() {
+		if (++this.#messageId >= 0x7fffffff)
+			this.#messageId = 1;
+		return this.#messageId;
+	};
+
+	/**
+	 * Формирует зашифрованный пакет MiIO.
+	 * @param {object} payload JSON-сообщение.
+	 * @returns {Buffer} Пакет для отправки.
+	 */
+	#encode(payload) {
+		const cipher = crypto.createCipheriv('aes-128-cbc', this.#key, this.#iv);
+		const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+		const header = Buffer.alloc(HEADER_SIZE);
+		header.writeUInt16BE(0x2131, 0);
+		header.writeUInt16BE(HEADER_SIZE + data.length, 2);
+		header.writeUInt32BE(this.id, 8);
+		header.writeUInt32BE(this.stamp, 12);
+		md5(header.subarray(0, 16), this.#token, data).copy(header, 16);
+		return Buffer.concat([header, data]);
+	};
+
+	/**
+	 * Проверяет и расшифровывает данные пакета.
+	 * @param {NonNullable<ReturnType<typeof parsePacket>>} packet Разобранный пакет.
+	 * @param {Buffer} raw Исходный пакет.
+	 * @returns {object|null} JSON-сообщение или `null`, если контрольная сумма не совпала.
+	 */
+	#decode(packet, raw) {
+		if (!md5(raw.subarray(0, 16), this.#token, packet.data).equals(packet.checksum))
+			return null;
+		const decipher = crypto.createDecipheriv('aes-128-cbc', this.#key, this.#iv);
+		const text = Buffer.concat([decipher.update(packet.data), decipher.final()]).toString('utf8');
+		return JSON.parse(text.replace(/\0+$/, ''));
+	};
+
+	/**
+	 * Обрабатывает входящий пакет: ответ на hello, ответ на запрос или сообщение от устройства.
+	 * @param {Buffer} msg Входящий пакет.
+	 */
+	#onMessage(msg) {
+		const packet = parsePacket(msg);
+		if (!packet)
+			return;
+		if (!packet.data.length) {
+			this.#helloResolver?.(packet);
+			return;
+		}
+		let message;
+		try {
+			message = this.#decode(packet, msg);
+		} catch (err) {
+			this.client?.log('warn', `Failed to decode MiIO packet from ${this.address}:`, err);
+			return;
+		}
+		if (!message) {
+			this.client?.log('warn', `MiIO packet from ${this.address} has invalid checksum, ignoring.`);
+			return;
+		}
+		this.#stamp = packet.stamp;
+		this.#stampTime = Date.now();
+		this.client?.log('debug', `MiIO <- ${this.address}:`, message);
+		if (message.method) {
+			this.emit(message.method, message.params);
+			this.emit('message', message);
+			if (message.id !== undefined)
+				this.#socket?.send(this.#encode({ id: message.id, result: ['ok'] }), this.port, this.address);
+			return;
+		}
+		const pending = this.#pending.get(message.id);
+		if (!pending)
+			return;
+		if (message.error)
+			pending.reject(new MiotError(message.error.code, { message: message.error.message }));
+		else
+			pending.resolve(message.result);
+	};
+};
+
+/**
+ * Поиск MiIO устройств в локальной сети с помощью широковещательных hello-пакетов.
+ * Дополнительно hello-пакеты могут отправляться напрямую на заданные адреса и диапазоны,
+ * что позволяет находить устройства в других VLAN и из сетей Docker (bridge), куда не проходит broadcast.
+ * Генерирует событие `available` с объектом `{ id, address, stamp, token? }` для каждого нового устройства
+ * (или устройства, сменившего IP-адрес) и событие `seen` с тем же объектом на каждый ответ.
+ */
+export class MiioBrowser extends EventEmitter {
+	/**
+	 * Обнаруженные устройства, где ключ - идентификатор устройства.
+	 * @type {Map<number, { id: number, address: string, stamp: number, token?: string }>}
+	 */
+	devices = new Map();
+
+	/**
+	 * Адреса, на которые hello-пакеты отправляются напрямую (unicast).
+	 * @type {string[]}
+	 */
+	addresses = [];
+
+	/**
+	 * UDP сокет для широковещательной рассылки.
+	 * @type {dgram.Socket|null}
+	 */
+	#socket = null;
+
+	/**
+	 * Таймер повторной рассылки hello-пакетов.
+	 * @type {NodeJS.Timeout|null}
+	 */
+	#timer = null;
+
+	/**
+	 * Экземпляр класса XiaomiMiHome.
+	 * @type {XiaomiMiHome|undefined}
+	 */
+	client;
+
+	/**
+	 * @param {XiaomiMiHome} [client] Экземпляр клиента для логирования.
+	 * @param {object} [options] Опции поиска.
+	 * @param {string[]} [options.addresses] IP-адреса и диапазоны в нотации CIDR (например, `192.168.2.0/24`)
+	 *   для рассылки hello-пакетов напрямую.
+	 * @throws {Error} Если адрес или диапазон некорректен или адресов больше `MIIO_PROBE_MAX_ADDRESSES`.
+	 */
+	constructor(client, { addresses } = {}) {
+		super();
+		this.client = client;
+		this.addresses = MiioBrowser.expandAddresses(addresses);
+	};
+
+	/**
+	 * Разворачивает список IP-адресов и диапазонов CIDR в список адресов хостов.
+	 * Для диапазонов шире /31 адреса сети и broadcast исключаются.
+	 * @param {string[]} [addresses=[]] IP-адреса и диапазоны в нотации CIDR.
+	 * @returns {string[]} Адреса хостов без повторов.
+	 * @throws {Error} Если адрес или диапазон некорректен или адресов больше `MIIO_PROBE_MAX_ADDRESSES`.
+	 */
+	static expandAddresses(addresses = []) {
+		const result = new Set();
+		for (const value of addresses) {
+			const match = String(value).trim().match(/^(\d{1,3}(?:\.\d{1,3}){3})(?:\/(\d{1,2}))?$/);
+			const octets = match?.[1].split('.').map(Number);
+			const prefix = (match?.[2] === undefined) ? 32 : Number(match[2]);
+			if (!match || octets.some(octet => (octet > 255)) || (prefix > 32))
+				throw new Error(`Invalid IPv4 address or CIDR range: "${value}"`);
+			const size = 2 ** (32 - prefix);
+			if ((result.size + size) > MIIO_PROBE_MAX_ADDRESSES)
+				throw new Error(`Too many addresses to probe (limit ${MIIO_PROBE_MAX_ADDRESSES}): "${value}"`);
+			const network = octets.reduce((ip, octet) => (ip * 256 + octet), 0) >>> (32 - prefix) << (32 - prefix) >>> 0;
+			const [first, last] = (size > 2) ? [network + 1, network + size - 2] : [network, network + size - 1];
+			for (let ip = first; ip <= last; ip++)
+				result.add([24, 16, 8, 0].map(shift => ((ip >>> shift) & 0xff)).join('.'));
+		}
+		return [...result];
+	};
+
+	/**
+	 * Возвращает широковещательные адреса всех IPv4 интерфейсов и общий адрес 255.255.255.255.
+	 * @returns {string[]} Список широковещательных адресов.
+	 */
+	static getBroadcastAddresses() {
+		const addresses = new Set(['255.255.255.255']);
+		for (const iface of Object.values(os.networkInterfaces())) {
+			for (const { family, internal, address, netmask } of iface || []) {
+				if ((family !== 'IPv4') || internal)
+					continue;
+				const ip = address.split('.').map(Number);
+				const mask = netmask.split('.').map(Number);
+				addresses.add(ip.map((octet, i) => (octet | (~mask[i] & 0xff))).join('.'));
+			}
+		}
+		return [...addresses];
+	};
+
+	/**
+	 * Запускает поиск и периодически повторяет рассылку hello-пакетов (широковещательную и на адреса из `addresses`).
+	 * @returns {this}
+	 */
+	start() {
+		if (this.#socket)
+			return this;
+		this.#socket = dgram.createSocket('udp4');
+		this.#socket.on('message', (msg, rinfo) => this.#onMessage(msg, rinfo.address));
+		this.#socket.on('error', err => {
+			this.client?.log('error', 'MiIO discovery socket error:', err);
+		});
+		this.#socket.bind(0, () => {
+			this.#socket?.setBroadcast(true);
+			this.#broadcast();
+			this.#timer = setInterval(() => this.#broadcast(), MIIO_DISCOVERY_INTERVAL);
+		});
+		return this;
+	};
+
+	/**
+	 * Останавливает поиск и закрывает сокет.
+	 */
+	stop() {
+		clearInterval(this.#timer);
+		this.#timer = null;
+		if (this.#socket) {
+			this.#socket.removeAllListeners();
+			this.#socket.close();
+			this.#socket = null;
+		}
+	};
+
+	/**
+	 * Отправляет hello-пакет на все широковещательные адреса и на адреса из `addresses`.
+	 */
+	#broadcast() {
+		const hello = createHello();
+		const send = (/** @type {string} */ address) => this.#socket?.send(hello, MIIO_PORT, address, err => {
+			if (err)
+				this.client?.log('debug', `Failed to send MiIO hello to ${address}: ${err.message}`);
+		});
+		for (const address of MiioBrowser.getBroadcastAddresses()) {
+			this.client?.log('debug', `Sending MiIO hello to ${address}`);
+			send(address);
+		}
+		if (this.addresses.length) {
+			this.client?.log('debug', `Sending MiIO hello to ${this.addresses.length} unicast addresses`);
+			this.addresses.forEach(send);
+		}
+	};
+
+	/**
+	 * Обрабатывает ответ на hello-пакет.
+	 * @param {Buffer} msg Входящий пакет.
+	 * @param {string} address IP-адрес отправителя.
+	 */
+	#onMessage(msg, address) {
+		const packet = parsePacket(msg);
+		if (!packet || packet.data.length)
+			return;
+		const known = this.devices.get(packet.id);
+		const device = {
+			id: packet.id,
+			address,
+			stamp: packet.stamp,
+			token: revealedToken(packet.checksum)
+		};
+		this.devices.set(packet.id, device);
+		this.emit('seen', device);
+		if (known && (known.address === address))
+			return;
+		this.client?.log('debug', `MiIO device found: ${packet.id} at ${address}`);
+		this.emit('available', device);
+	};
+};
+
+/**
+ * Точка входа транспорта MiIO: создание подключений к устройствам и поиск в локальной сети.
+ */
+export default class Miio {
+	/**
+	 * Экземпляр класса XiaomiMiHome.
+	 * @type {XiaomiMiHome|undefined}
+	 */
+	client;
+
+	/**
+	 * @param {XiaomiMiHome} [client] Экземпляр клиента для логирования.
+	 */
+	constructor(client) {
+		this.client = client;
+	};
+
+	/**
+	 * Создает подключение к устройству и выполняет handshake.
+	 * @param {ConstructorParameters<typeof MiioDevice>[0]} options Параметры подключения.
+	 * @param {object} [cancel] Опции отмены.
+	 * @param {AbortSignal} [cancel.signal] Сигнал отмены подключения.
+	 * @returns {Promise<MiioDevice>} Подключенное устройство.
+	 * @throws {Error} Если устройство не ответило на handshake или подключение отменено.
+	 */
+	async device(options, { signal } = {}) {
+		const device = new MiioDevice(options, this.client);
+		try {
+			await device.handshake({ signal });
+		} catch (err) {
+			await device.destroy();
+			throw err;
+		}
+		return device;
+	};
+
+	/**
+	 * Запрашивает у устройства сведения `miIO.info` (модель, версии прошивки и оборудования, MAC-адрес, параметры Wi-Fi).
+	 * Открывает временное подключение и закрывает его после ответа.
+	 * @param {ConstructorParameters<typeof MiioDevice>[0]} options Параметры подключения.
+	 * @param {object} [cancel] Опции отмены.
+	 * @param {AbortSignal} [cancel.signal] Сигнал отмены запроса.
+	 * @returns {Promise<MiioInfo>} Сведения об устройстве.
+	 * @throws {MiotError|Error} Ошибка устройства, таймаут или отмена запроса.
+	 */
+	async info(options, { signal } = {}) {
+		const device = await this.device(options, { signal });
+		try {
+			return await device.info({ signal });
+		} finally {
+			await device.destroy();
+		}
+	};
+
+	/**
+	 * Запускает поиск MiIO устройств в локальной сети.
+	 * @param {ConstructorParameters<typeof MiioBrowser>[1]} [options] Опции поиска.
+	 * @returns {MiioBrowser} Запущенный поиск; остановить его можно методом `stop()`.
+	 * @throws {Error} Если адрес или диапазон некорректен или адресов слишком много.
+	 */
+	browse(options) {
+		return new MiioBrowser(this.client, options).start();
+	};
+};
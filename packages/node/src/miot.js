@@ -1,41 +1,172 @@
-import miio from 'mijia-io';
 import crypto from 'crypto';
-import { readFile } from 'fs/promises';
-import { COUNTRIES } from './constants.js';
-import { expandPath } from './paths.js';
+import path from 'path';
+import { readFile, writeFile, readdir, mkdir } from 'fs/promises';
+import {
+	COUNTRIES, DEFAULT_COUNTRY, SPEC_CACHE_TTL, CLOUD_REQUEST_TIMEOUT, LIB_ID,
+	OAUTH_CLIENT_ID, OAUTH_REDIRECT_URI, OAUTH_API_HOST, OAUTH_TOKEN_TTL_RATIO
+} from './constants.js';
+import { expandPath, SPEC_CACHE_DIR } from './paths.js';
+import Miio from './miio.js';
+import Push from './push.js';
+import { MiotError } from './errors.js';
+import { createSignal, abortable } from './index.js';
 /** @import { Credentials, XiaomiMiHome } from './index.js' */
+/** @import { PushSubscription, PushMessage } from './push.js' */
 
 /**
  * Класс для взаимодействия с MiIO и облаком Xiaomi.
  */
 export default class Miot {
+	/**
+	 * Директория постоянного кэша спецификаций miot-spec.org.
+	 * Может быть переопределена до первого обращения (например, для изолированных установок).
+	 * @type {string}
+	 */
+	static specCacheDir = SPEC_CACHE_DIR;
+
+	/**
+	 * Время жизни закэшированных спецификаций и каталога моделей в миллисекундах.
+	 * @type {number}
+	 */
+	static specCacheTtl = SPEC_CACHE_TTL;
+
+	/**
+	 * Кэш в памяти для каталога моделей (instances) с miot-spec.org.
+	 * @type {Promise<any[]>|null}
+	 */
+	static #instances = null;
+
+	/**
+	 * Кэш в памяти для разобранных спецификаций моделей.
+	 * @type {Map<string, Promise<object|undefined>>}
+	 */
+	static #models = new Map();
+
 	/**
 	 * Находит спецификацию модели устройства на home.miot-spec.com.
+	 * Результат кэшируется в памяти и на диске (`specCacheDir`). При недоступности сети
+	 * используется закэшированная спецификация, даже если ее срок жизни истек.
 	 * @param {string} model Модель устройства.
+	 * @param {object} [options] Опции поиска.
+	 * @param {boolean} [options.force=false] Игнорировать кэш и загрузить спецификацию заново. Каталог моделей
+	 *   берется из кэша, пока не истек его срок жизни.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены ожидания. Загрузка, начатая для других вызовов, продолжается.
 	 * @returns {Promise<object|undefined>} Объект спецификации модели или `undefined`, если модель не найдена.
 	 */
-	static async findModel(model) {
-		const instancesResponse = await fetch('https://miot-spec.org/miot-spec-v2/instances?status=released');
-		const /** @type {{ instances: any[] }} */ { instances } = await instancesResponse.json();
-		const instance = instances.sort((a, b) => (b.ts - a.ts)).find(instance => instance.model === model);
-		if (!instance)
-			return;
-		const specResponse = await fetch(`https://miot-spec.org/miot-spec-v2/instance?type=${instance.type}`);
-		const /** @type {{ type: string, description: string, services: any[] }} */ spec = await specResponse.json();
+	static async findModel(model, { force = false, signal } = {}) {
+		if (force || !this.#models.has(model)) {
+			const promise = this.getSpec(model, { force }).then(spec => spec && this.parseSpec(spec));
+			this.#models.set(model, promise);
+			promise.catch(() => this.#models.delete(model));
+		}
+		return abortable(this.#models.get(model), signal);
+	};
+
+	/**
+	 * Получает исходную (неразобранную) спецификацию модели с miot-spec.org или из кэша на диске.
+	 * @param {string} model Модель устройства.
+	 * @param {object} [options] Опции поиска.
+	 * @param {boolean} [options.force=false] Игнорировать срок жизни закэшированной спецификации модели (но не каталога моделей).
+	 * @param {AbortSignal} [options.signal] Сигнал отмены загрузки.
+	 * @returns {Promise<object|undefined>} Спецификация модели или `undefined`, если модель не найдена.
+	 * @throws {Error} Если сеть недоступна и спецификации нет в кэше, или загрузка отменена.
+	 */
+	static async getSpec(model, { force = false, signal } = {}) {
+		const cached = await this.#readSpecCache(model);
+		if (cached && !force && (cached.imported || ((Date.now() - cached.timestamp) < this.specCacheTtl)))
+			return cached.spec;
+		try {
+			const instances = await abortable(this.#getInstances(), signal);
+			const instance = instances.find(instance => instance.model === model);
+			if (!instance)
+				return cached?.spec;
+			const specResponse = await fetch(`https://miot-spec.org/miot-spec-v2/instance?type=${instance.type}`, { signal });
+			if (!specResponse.ok)
+				throw new Error(`Failed to fetch spec for ${model}: ${specResponse.status} ${specResponse.statusText}`);
+			const spec = await specResponse.json();
+			await this.#writeSpecCache(model, { spec });
+			return spec;
+		} catch (err) {
+			if (cached && !signal?.aborted)
+				return cached.spec;
+			throw err;
+		}
+	};
+
+	/**
+	 * Импортирует спецификацию модели из JSON-файла на диске в кэш.
+	 * Поддерживается как исходный формат miot-spec.org (`{ type, description, services }`),
+	 * так и формат файла кэша (`{ model, spec }`). Импортированные спецификации не устаревают.
+	 * @param {string} filePath Путь к JSON-файлу со спецификацией.
+	 * @param {string} [model] Модель устройства. Обязательна, если файл содержит исходную спецификацию.
+	 * @returns {Promise<object>} Разобранная спецификация модели.
+	 * @throws {Error} Если файл не содержит спецификацию или модель не указана.
+	 */
+	static async importSpec(filePath, model) {
+		const data = JSON.parse(await readFile(expandPath(filePath), 'utf-8'));
+		const spec = data.spec || data;
+		model = model || data.model;
+		if (!Array.isArray(spec?.services))
+			throw new Error(`File ${filePath} does not contain a MIoT spec (services are missing)`);
+		if (!model)
+			throw new Error(`Model is required to import spec from ${filePath}`);
+		await this.#writeSpecCache(model, { spec, imported: true });
+		const parsed = this.parseSpec(spec);
+		this.#models.set(model, Promise.resolve(parsed));
+		return parsed;
+	};
+
+	/**
+	 * Обновляет каталог моделей и все закэшированные на диске спецификации, игнорируя срок жизни кэша.
+	 * Каталог загружается один раз и используется для всех моделей. Импортированные вручную спецификации
+	 * не перезаписываются.
+	 * @returns {Promise<string[]>} Список моделей, спецификации которых были обновлены.
+	 */
+	static async refreshSpecs() {
+		this.#instances = null;
+		this.#models.clear();
+		await this.#getInstances(true);
+		const files = await readdir(this.specCacheDir).catch(() => []);
+		const updated = [];
+		for (const file of files) {
+			if (!file.endsWith('.json') || (file === 'instances.json'))
+				continue;
+			const cached = await this.#readSpecCache(file.slice(0, -5));
+			if (!cached?.model || cached.imported)
+				continue;
+			if (await this.getSpec(cached.model, { force: true }))
+				updated.push(cached.model);
+		}
+		return updated;
+	};
+
+	/**
+	 * Разбирает исходную спецификацию miot-spec.org в описание свойств, действий и событий устройства.
+	 * @param {{ type: string, description: string, services: any[] }} spec Исходная спецификация.
+	 * @returns {{ name: string, type: string, properties: object, actions: object, events: object }}
+	 */
+	static parseSpec(spec) {
 		const properties = {};
 		const actions = {};
-		for (const s of /** @type {{ iid: number, type: string, description: string, properties?: any[], actions?: any[] }[]} */ (spec.services).slice(1)) {
+		const events = {};
+		for (const s of /** @type {{ iid: number, type: string, description: string, properties?: any[], actions?: any[], events?: any[] }[]} */ (spec.services).slice(1)) {
 			const skp = s.type.split(':');
 			if (skp[1] === 'miot-spec-v2') {
 				if (s.properties)
-					for (const p of /** @type {{ iid: number, type: string, description: string, format: string, access: any[] }[]} */ (s.properties)) {
+					for (const p of /** @type {{ iid: number, type: string, description: string, format: string, access: any[], unit?: string, 'value-list'?: any[], 'value-range'?: number[] }[]} */ (s.properties)) {
 						const pkp = p.type.split(':');
 						if (p.access.length)
 							properties[`${skp[3]}_${pkp[3]}`] = {
 								siid: s.iid,
 								piid: p.iid,
 								format: p.format,
-								access: p.access
+								access: p.access,
+								...(p.description && { description: p.description }),
+								...(p.unit && (p.unit !== 'none') && { unit: p.unit }),
+								...(p['value-list']?.length && {
+									valueList: p['value-list'].map(({ value, description }) => ({ value, description }))
+								}),
+								...(p['value-range'] && { valueRange: p['value-range'] })
 							};
 					}
 				if (s.actions)
@@ -47,15 +178,120 @@ export default class Miot {
 							in: a.in
 						};
 					}
+				if (s.events)
+					for (const e of /** @type {{ iid: number, type: string, description: string, arguments?: number[] }[]} */ (s.events)) {
+						const ekp = e.type.split(':');
+						events[`${skp[3]}_${ekp[3]}`] = {
+							siid: s.iid,
+							eiid: e.iid,
+							arguments: e.arguments || [],
+							...(e.description && { description: e.description })
+						};
+					}
 			}
 		}
 		return {
 			name: spec.description,
 			type: spec.type,
-			properties, actions
+			properties, actions, events
 		};
 	};
 
+	/**
+	 * Проверяет, достаточно ли учетных данных для получения сессии облака.
+	 * Подходит любой источник: токены (`userId`/`ssecurity`/`serviceToken`), `passToken` с `userId`,
+	 * пара `username`/`password` или файл учетных данных (проверяется при входе).
+	 * @param {Credentials} [credentials] Учетные данные.
+	 * @param {string} [credentialsFile] Путь к файлу учетных данных.
+	 * @returns {string|null} Описание недостающих данных или `null`, если учетных данных достаточно.
+	 */
+	static getCredentialsError(credentials = {}, credentialsFile) {
+		const { username, password, userId, ssecurity, serviceToken, passToken } = credentials;
+		if (credentialsFile || (userId && ssecurity && serviceToken) || (userId && passToken) || (username && password))
+			return null;
+		if (username)
+			return 'password is missing';
+		if (password)
+			return 'username is missing';
+		if (passToken)
+			return 'userId is missing for passToken';
+		if (userId || ssecurity || serviceToken)
+			return `incomplete tokens, missing ${['userId', 'ssecurity', 'serviceToken'].filter(key => !credentials[key]).join(', ')}`;
+		return 'no credentials provided (username/password, userId/ssecurity/serviceToken, passToken or credentialsFile)';
+	};
+
+	/**
+	 * Возвращает каталог выпущенных моделей, используя кэш в памяти и на диске.
+	 * @param {boolean} [force=false] Игнорировать срок жизни кэша.
+	 * @returns {Promise<any[]>} Каталог моделей, отсортированный от новых версий к старым.
+	 */
+	static async #getInstances(force = false) {
+		if (!force && this.#instances)
+			return this.#instances;
+		const promise = (async () => {
+			const cacheFile = path.join(this.specCacheDir, 'instances.json');
+			const cached = await readFile(cacheFile, 'utf-8').then(JSON.parse).catch(() => null);
+			if (cached && !force && ((Date.now() - cached.timestamp) < this.specCacheTtl))
+				return cached.instances;
+			try {
+				const instancesResponse = await fetch('https://miot-spec.org/miot-spec-v2/instances?status=released');
+				if (!instancesResponse.ok)
+					throw new Error(`Failed to fetch spec catalogue: ${instancesResponse.status} ${instancesResponse.statusText}`);
+				const /** @type {{ instances: any[] }} */ { instances } = await instancesResponse.json();
+				instances.sort((a, b) => (b.ts - a.ts));
+				await mkdir(this.specCacheDir, { recursive: true })
+					.then(() => writeFile(cacheFile, JSON.stringify({ timestamp: Date.now(), instances })))
+					.catch(() => {});
+				return instances;
+			} catch (err) {
+				if (cached)
+					return cached.instances;
+				throw err;
+			}
+		})();
+		this.#instances = promise;
+		promise.catch(() => {
+			if (this.#instances === promise)
+				this.#instances = null;
+		});
+		return promise;
+	};
+
+	/**
+	 * Возвращает путь к файлу кэша спецификации модели.
+	 * @param {string} model Модель устройства.
+	 * @returns {string}
+	 */
+	static #getSpecCacheFile(model) {
+		return path.join(this.specCacheDir, `${model.replace(/[^\w.-]/g, '_')}.json`);
+	};
+
+	/**
+	 * Читает спецификацию модели из кэша на диске.
+	 * @param {string} model Модель устройства.
+	 * @returns {Promise<{ model: string, timestamp: number, imported?: boolean, spec: any }|null>}
+	 */
+	static async #readSpecCache(model) {
+		try {
+			return JSON.parse(await readFile(this.#getSpecCacheFile(model), 'utf-8'));
+		} catch (err) {
+			return null;
+		}
+	};
+
+	/**
+	 * Записывает спецификацию модели в кэш на диске. Ошибки записи игнорируются.
+	 * @param {string} model Модель устройства.
+	 * @param {{ spec: any, imported?: boolean }} data Данные для записи.
+	 * @returns {Promise<void>}
+	 */
+	static async #writeSpecCache(model, data) {
+		try {
+			await mkdir(this.specCacheDir, { recursive: true });
+			await writeFile(this.#getSpecCacheFile(model), JSON.stringify({ model, timestamp: Date.now(), ...data }));
+		} catch (err) {}
+	};
+
 	/**
 	 * Локализация для запросов к облаку Xiaomi (по умолчанию 'en').
 	 * @type {string}
@@ -68,6 +304,45 @@ export default class Miot {
 	 */
 	client = null;
 
+	/**
+	 * Промис текущего повторного входа. Позволяет параллельным запросам дождаться одного входа.
+	 * @type {Promise<void>|null}
+	 */
+	#reloginPromise = null;
+
+	/**
+	 * Промис текущего получения OAuth access token. Позволяет параллельным подпискам дождаться одного запроса.
+	 * @type {Promise<string>|null}
+	 */
+	#accessTokenPromise = null;
+
+	/**
+	 * Флаг, указывающий, что учетные данные из `credentialsFile` уже были загружены.
+	 * Предотвращает восстановление истекшего serviceToken из файла при повторном входе.
+	 * @type {boolean}
+	 */
+	#credentialsLoaded = false;
+
+	/**
+	 * Пути API, для которых был автоматически выбран зашифрованный (RC4) вариант протокола.
+	 * @type {Set<string>}
+	 */
+	#encryptedPaths = new Set();
+
+	/**
+	 * Экземпляр транспорта MiIO.
+	 * Инициализируется лениво через геттер `miio`.
+	 * @type {Miio|undefined}
+	 */
+	#miio;
+
+	/**
+	 * Push-уведомления облака через MQTT-брокер.
+	 * Инициализируются лениво при первой подписке.
+	 * @type {Push|undefined}
+	 */
+	#push;
+
 	/**
 	 * Конструктор класса Miot.
 	 * @param {XiaomiMiHome} client Экземпляр класса XiaomiMiHome.
@@ -85,11 +360,31 @@ export default class Miot {
 	};
 
 	/**
-	 * Возвращает модуль miio для прямого взаимодействия с MiIO устройствами.
-	 * @type {object}
+	 * Указывает, что регион облака не задан явно и устройства нужно искать во всех регионах.
+	 * @type {boolean}
+	 */
+	get isAutoCountry() {
+		return !this.credentials.country || (this.credentials.country === 'auto');
+	};
+
+	/**
+	 * Возвращает регионы облака для опроса: регион из учетных данных или, в режиме 'auto', все регионы из `COUNTRIES`.
+	 * Перед выбором загружает `credentialsFile`, чтобы учитывался сохраненный в нем регион.
+	 * @returns {Promise<string[]>} Список регионов.
+	 */
+	async getCountries() {
+		await this.#mergeCredentialsFile();
+		return this.isAutoCountry ? [...COUNTRIES] : [this.credentials.country];
+	};
+
+	/**
+	 * Возвращает транспорт MiIO для прямого взаимодействия с устройствами в локальной сети.
+	 * @type {Miio}
 	 */
 	get miio() {
-		return miio;
+		if (!this.#miio)
+			this.#miio = new Miio(this.client);
+		return this.#miio;
 	};
 
 	/**
@@ -154,6 +449,71 @@ export default class Miot {
 		return crypto.createHash('sha256').update(s).update(n).digest('base64');
 	};
 
+	/**
+	 * Генерирует подпись запроса для зашифрованного (RC4) варианта облачного API Xiaomi.
+	 * В отличие от `generateSignature`, параметры не сортируются и хешируются через SHA1.
+	 * @param {string} path Путь API запроса.
+	 * @param {string} method HTTP метод запроса.
+	 * @param {string} _signedNonce Signed Nonce.
+	 * @param {object} params Параметры запроса.
+	 * @returns {string} Подпись запроса в base64.
+	 */
+	generateEncSignature(path, method, _signedNonce, params) {
+		const exps = [method.toUpperCase(), path];
+		for (const key in params) {
+			exps.push(`${key}=${params[key]}`);
+		}
+		exps.push(_signedNonce);
+		return crypto.createHash('sha1').update(exps.join('&')).digest('base64');
+	};
+
+	/**
+	 * Шифрует строку алгоритмом RC4 (с отбрасыванием первых 1024 байт ключевого потока).
+	 * @param {string} _signedNonce Signed Nonce, используемый как ключ.
+	 * @param {string} payload Строка для шифрования.
+	 * @returns {string} Зашифрованные данные в base64.
+	 */
+	encryptRc4(_signedNonce, payload) {
+		return Miot.#rc4(Buffer.from(_signedNonce, 'base64'), Buffer.from(payload, 'utf-8')).toString('base64');
+	};
+
+	/**
+	 * Расшифровывает ответ, зашифрованный алгоритмом RC4.
+	 * @param {string} _signedNonce Signed Nonce, используемый как ключ.
+	 * @param {string} payload Зашифрованные данные в base64.
+	 * @returns {string} Расшифрованная строка.
+	 */
+	decryptRc4(_signedNonce, payload) {
+		return Miot.#rc4(Buffer.from(_signedNonce, 'base64'), Buffer.from(payload, 'base64')).toString('utf-8');
+	};
+
+	/**
+	 * Реализация потокового шифра RC4-drop1024.
+	 * Встроенный в OpenSSL 3 RC4 доступен только через legacy provider, поэтому шифр реализован вручную.
+	 * @param {Buffer} key Ключ.
+	 * @param {Buffer} data Данные для шифрования/расшифровки.
+	 * @returns {Buffer}
+	 */
+	static #rc4(key, data) {
+		const state = new Uint8Array(256);
+		for (let i = 0; i < 256; i++) {
+			state[i] = i;
+		}
+		for (let i = 0, j = 0; i < 256; i++) {
+			j = (j + state[i] + key[i % key.length]) & 0xff;
+			[state[i], state[j]] = [state[j], state[i]];
+		}
+		const output = Buffer.alloc(data.length);
+		for (let n = 0, i = 0, j = 0; n < 1024 + data.length; n++) {
+			i = (i + 1) & 0xff;
+			j = (j + state[i]) & 0xff;
+			[state[i], state[j]] = [state[j], state[i]];
+			if (n >= 1024)
+				output[n - 1024] = data[n - 1024] ^ state[(state[i] + state[j]) & 0xff];
+		}
+		return output;
+	};
+
 	/**
 	 * Загружает учетные данные из файла.
 	 * @returns {Promise<Credentials|null>}
@@ -167,33 +527,71 @@ export default class Miot {
 		}
 	};
 
+	/**
+	 * Однократно дополняет учетные данные из конфигурации данными из `credentialsFile`.
+	 * Значения из конфигурации имеют приоритет.
+	 * @returns {Promise<void>}
+	 */
+	async #mergeCredentialsFile() {
+		if (!this.client.config.credentialsFile || this.#credentialsLoaded)
+			return;
+		this.#credentialsLoaded = true;
+		const credentials = await this.#loadCredentials();
+		if (!credentials)
+			this.client.log('warn', `Credentials file ${this.client.config.credentialsFile} could not be read.`);
+		this.client.config.credentials = { ...credentials, ...this.credentials };
+	};
+
 	/**
 	 * Выполняет вход в аккаунт Xiaomi и возвращает учетные данные.
 	 * @param {object} [handlers] - Объект с колбэками для обработки интерактивных шагов.
 	 * @param {(url: string) => Promise<string>} [handlers.on2fa] - Колбэк для получения 2FA тикета.
 	 * @param {(imageB64: string) => Promise<string>} [handlers.onCaptcha] - Колбэк для разгадывания капчи.
+	 * @param {object} [options] - Опции входа.
+	 * @param {AbortSignal} [options.signal] - Сигнал отмены входа.
+	 * @param {number} [options.timeout] - Максимальное время входа в миллисекундах, включая ожидание колбэков.
 	 * @returns {Promise<Omit<Credentials, 'username'|'password'>>} - Объект с полученными учетными данными.
-	 * @throws {Error} Если не удалось выполнить вход на каком-либо из этапов.
+	 * @throws {Error} Если не удалось выполнить вход на каком-либо из этапов, вход отменен или превышен таймаут.
 	 */
-	async login(handlers) {
-		if (this.client.config.credentialsFile) {
-			const credentials = await this.#loadCredentials();
-			this.client.config.credentials = { ...credentials, ...this.credentials };
+	async login(handlers, options) {
+		const { signal, clear } = createSignal(options);
+		try {
+			return await this.#login(handlers, signal);
+		} finally {
+			clear();
 		}
-		if (this.credentials.userId && this.credentials.ssecurity && this.credentials.serviceToken && this.credentials.country) {
+	};
+
+	/**
+	 * Выполняет вход в аккаунт Xiaomi.
+	 * @param {Parameters<Miot['login']>[0]} handlers - Колбэки для интерактивных шагов.
+	 * @param {AbortSignal} signal - Сигнал отмены входа.
+	 * @returns {ReturnType<Miot['login']>}
+	 */
+	async #login(handlers, signal) {
+		await this.#mergeCredentialsFile();
+		if (this.credentials.userId && this.credentials.ssecurity && this.credentials.serviceToken) {
 			this.client.log('info', 'Credentials (tokens) already available, skipping login.');
 			const { username, password, ...safeCredentials } = this.credentials;
 			return safeCredentials;
 		}
+		const serviceLoginUrl = 'https://account.xiaomi.com/pass/serviceLogin?sid=xiaomiio&_json=true';
+		const userAgent = 'APP/com.xiaomi.mihome APPV/10.5.201';
+		if (this.credentials.passToken && this.credentials.userId) {
+			const credentials = await this.#loginWithPassToken(serviceLoginUrl, userAgent, signal);
+			if (credentials)
+				return credentials;
+			if (!this.credentials.username || !this.credentials.password)
+				throw new Error(`Cannot log in to Xiaomi cloud: passToken is expired or invalid and ${this.credentials.username ? 'password' : 'username'} is missing`);
+			this.client.log('warn', 'passToken is expired or invalid, falling back to password login.');
+		} else {
+			const error = Miot.getCredentialsError(this.credentials);
+			if (error)
+				throw new Error(`Cannot log in to Xiaomi cloud: ${error}${this.client.config.credentialsFile ? ` (credentials file: ${this.client.config.credentialsFile})` : ''}`);
+		}
 		this.client.log('info', `Attempting login for user: ${this.credentials.username}`);
-		if (!this.credentials.username)
-			throw new Error('username empty');
-		if (!this.credentials.password)
-			throw new Error('password empty');
 
 		let currentUrl, ssecurity, userId, serviceToken;
-		const serviceLoginUrl = 'https://account.xiaomi.com/pass/serviceLogin?sid=xiaomiio&_json=true';
-		const userAgent = 'APP/com.xiaomi.mihome APPV/10.5.201';
 
 		const cookieJar = new Map();
 		const updateCookieJar = (/** @type {Headers} */ responseHeaders) => {
@@ -227,7 +625,7 @@ export default class Miot {
 		};
 
 		this.client.log('debug', `Fetching _sign from ${serviceLoginUrl}`);
-		const step1Response = await fetch(serviceLoginUrl, { headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() } });
+		const step1Response = await fetch(serviceLoginUrl, { signal, headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() } });
 		updateCookieJar(step1Response.headers);
 		this.client.log('debug', `Response status: ${step1Response.status}`);
 
@@ -255,6 +653,7 @@ export default class Miot {
 				body.append('captCode', captCode);
 
 			const step2Response = await fetch(step2Url, {
+				signal,
 				method: 'POST',
 				headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'User-Agent': userAgent, 'Cookie': getCookieHeader() },
 				body
@@ -271,6 +670,7 @@ export default class Miot {
 				this.client.log('debug', `Captcha required. Fetching image from ${step2Data.captchaUrl}`);
 
 				const captchaResponse = await fetch(`https://account.xiaomi.com${step2Data.captchaUrl}`, {
+					signal,
 					headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() }
 				});
 				updateCookieJar(captchaResponse.headers);
@@ -279,7 +679,7 @@ export default class Miot {
 				const captchaBase64 = Buffer.from(captchaBuffer).toString('base64');
 				const dataUri = `data:image/jpeg;base64,${captchaBase64}`;
 
-				captCode = await handlers.onCaptcha(dataUri);
+				captCode = await abortable(handlers.onCaptcha(dataUri), signal);
 				if (!captCode)
 					throw new Error('Captcha code was not provided. Login aborted.');
 				continue;
@@ -297,7 +697,7 @@ export default class Miot {
 			listUrl.searchParams.set('sid', 'xiaomiio');
 			listUrl.searchParams.set('context', context);
 			listUrl.searchParams.set('_locale', 'en_US');
-			const listResponse = await fetch(listUrl.toString(), { headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() } });
+			const listResponse = await fetch(listUrl.toString(), { signal, headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() } });
 			updateCookieJar(listResponse.headers);
 			const listData = this.parseJson(await listResponse.text());
 			this.client.log('debug', '2FA Step: Identity list response:', listData);
@@ -312,6 +712,7 @@ export default class Miot {
 			const sendUrl = new URL(`https://account.xiaomi.com/identity/auth/${sendEndpoint}`);
 			sendUrl.searchParams.set('_dc', String(Date.now()));
 			const sendResponse = await fetch(sendUrl.toString(), {
+				signal,
 				method: 'POST',
 				headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'User-Agent': userAgent, 'Cookie': getCookieHeader() },
 				body: new URLSearchParams({
@@ -329,7 +730,7 @@ export default class Miot {
 				this.client.log('info', '2FA Step: Server skipped code verification, proceeding directly.');
 				currentUrl = sendData.location;
 			} else if (sendData.code === 0) {
-				const ticket = await handlers.on2fa(step2Data.notificationUrl);
+				const ticket = await abortable(handlers.on2fa(step2Data.notificationUrl), signal);
 				if (!ticket)
 					throw new Error('2FA ticket was not provided. Login aborted.');
 
@@ -337,6 +738,7 @@ export default class Miot {
 				const verifyUrl = new URL(`https://account.xiaomi.com/identity/auth/${verifyEndpoint}`);
 				verifyUrl.searchParams.set('_json', 'true');
 				const verifyResponse = await fetch(verifyUrl.toString(), {
+					signal,
 					method: 'POST',
 					headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8', 'User-Agent': userAgent, 'Cookie': getCookieHeader() },
 					body: new URLSearchParams({
@@ -359,7 +761,7 @@ export default class Miot {
 			this.client.log('debug', '2FA Step: Following redirect chain.');
 			for (let i = 0; i < 10; i++) {
 				this.client.log('debug', `REDIRECT LOOP ${i}: Fetching URL: ${currentUrl}`);
-				const redirectResponse = await fetch(currentUrl, { redirect: 'manual', headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() } });
+				const redirectResponse = await fetch(currentUrl, { signal, redirect: 'manual', headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() } });
 				updateCookieJar(redirectResponse.headers);
 
 				const pragma = redirectResponse.headers.get('extension-pragma');
@@ -386,7 +788,7 @@ export default class Miot {
 		} else if (step2Data.ssecurity) {
 			ssecurity = step2Data.ssecurity;
 			userId = step2Data.userId;
-			const step3Response = await fetch(step2Data.location, { headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() } });
+			const step3Response = await fetch(step2Data.location, { signal, headers: { 'User-Agent': userAgent, 'Cookie': getCookieHeader() } });
 			updateCookieJar(step3Response.headers);
 			serviceToken = getCookieValue('serviceToken');
 		} else
@@ -398,83 +800,409 @@ export default class Miot {
 			throw new Error(`Login failed: Could not retrieve all required credentials.`);
 		}
 
+		return this.#saveLogin({ userId, ssecurity, serviceToken, passToken: getCookieValue('passToken') });
+	};
+
+	/**
+	 * Восстанавливает сессию по сохраненному passToken без ввода пароля.
+	 * @param {string} serviceLoginUrl - Адрес `serviceLogin`.
+	 * @param {string} userAgent - User-Agent запросов.
+	 * @param {AbortSignal} signal - Сигнал отмены входа.
+	 * @returns {Promise<Awaited<ReturnType<Miot['login']>>|null>} Учетные данные или `null`, если passToken истек или недействителен.
+	 */
+	async #loginWithPassToken(serviceLoginUrl, userAgent, signal) {
+		this.client.log('info', `Attempting to restore session using passToken for user: ${this.credentials.userId}`);
+		const getCookie = (/** @type {Response} */ response, /** @type {string} */ name) => response.headers.getSetCookie()
+			.map(cookie => cookie.split(';')[0])
+			.find(cookie => cookie.startsWith(`${name}=`))
+			?.substring(name.length + 1);
+		const headers = { 'User-Agent': userAgent, 'Cookie': `userId=${this.credentials.userId}; passToken=${this.credentials.passToken}` };
+		const response = await fetch(serviceLoginUrl, { signal, headers });
+		const data = this.parseJson(await response.text());
+		if ((data.code !== 0) || !data.ssecurity || !data.location)
+			return null;
+		const tokenResponse = await fetch(data.location, { signal, headers });
+		const serviceToken = getCookie(tokenResponse, 'serviceToken');
+		if (!serviceToken)
+			return null;
+		this.client.log('info', 'Session restored using passToken, password login skipped.');
+		return this.#saveLogin({
+			userId: data.userId,
+			ssecurity: data.ssecurity,
+			serviceToken,
+			passToken: getCookie(response, 'passToken')
+		});
+	};
+
+	/**
+	 * Сохраняет полученные при входе токены и сообщает о них через событие `login` клиента.
+	 * Логин и пароль в событие не передаются.
+	 * @param {Pick<Credentials, 'userId'|'ssecurity'|'serviceToken'|'passToken'>} tokens - Полученные токены.
+	 * @returns {Awaited<ReturnType<Miot['login']>>} Учетные данные без логина и пароля.
+	 */
+	#saveLogin({ userId, ssecurity, serviceToken, passToken }) {
+		passToken ||= this.credentials.passToken;
 		this.credentials.ssecurity = ssecurity;
 		this.credentials.userId = userId;
 		this.credentials.serviceToken = serviceToken;
-		this.client.emit('login', this.credentials);
+		if (passToken)
+			this.credentials.passToken = passToken;
+		return this.#emitLogin();
+	};
 
-		return {
-			userId, ssecurity, serviceToken,
-			country: this.credentials.country
+	/**
+	 * Сообщает текущие токены через событие `login` клиента.
+	 * Логин и пароль в событие не передаются, OAuth-токены - только если они были получены.
+	 * @returns {Awaited<ReturnType<Miot['login']>>} Учетные данные без логина и пароля.
+	 */
+	#emitLogin() {
+		const { userId, ssecurity, serviceToken, passToken, country, accessToken, refreshToken, accessTokenExpires } = this.credentials;
+		const tokens = {
+			userId, ssecurity, serviceToken, passToken, country,
+			...(accessToken && { accessToken, refreshToken, accessTokenExpires })
 		};
+		this.client.emit('login', { ...tokens });
+		return tokens;
+	};
+
+	/**
+	 * Возвращает OAuth access token для подключения к MQTT-брокеру push-уведомлений облака.
+	 * Действующий токен берется из учетных данных. Устаревший токен обновляется по refreshToken,
+	 * а если его нет или он отклонен, новый токен запрашивается OAuth-авторизацией по сохраненному passToken.
+	 * Полученные токены сообщаются через событие `login` клиента.
+	 * @param {object} [options] Опции получения токена.
+	 * @param {boolean} [options.force=false] Обновить токен, даже если он еще не устарел.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены ожидания. Запрос, начатый для других вызовов, продолжается.
+	 * @returns {Promise<string>} Access token.
+	 * @throws {Error} Если токен не удалось обновить, а passToken отсутствует или Xiaomi не выдал код авторизации.
+	 */
+	async getAccessToken({ force = false, signal } = {}) {
+		await this.#mergeCredentialsFile();
+		const { accessToken, accessTokenExpires } = this.credentials;
+		if (!force && accessToken && (!accessTokenExpires || (Date.now() < Number(accessTokenExpires))))
+			return accessToken;
+		if (!this.#accessTokenPromise)
+			this.#accessTokenPromise = (async () => {
+				let result;
+				if (this.credentials.refreshToken) {
+					try {
+						result = await this.#requestAccessToken({ refresh_token: this.credentials.refreshToken });
+						this.client.log('info', 'OAuth access token refreshed.');
+					} catch (err) {
+						if (!this.credentials.passToken)
+							throw err;
+						this.client.log('warn', 'OAuth refresh token was rejected, requesting a new authorization:', err);
+					}
+				}
+				if (!result) {
+					result = await this.#requestAccessToken({ code: await this.#authorize() });
+					this.client.log('info', 'OAuth access token obtained using passToken.');
+				}
+				this.credentials.accessToken = result.access_token;
+				this.credentials.refreshToken = result.refresh_token;
+				this.credentials.accessTokenExpires = Date.now() + Math.floor(result.expires_in * 1_000 * OAUTH_TOKEN_TTL_RATIO);
+				this.#emitLogin();
+				return result.access_token;
+			})().finally(() => {
+				this.#accessTokenPromise = null;
+			});
+		return abortable(this.#accessTokenPromise, signal);
+	};
+
+	/**
+	 * Идентификатор устройства для OAuth, постоянный для аккаунта.
+	 * @type {string}
+	 */
+	get #oauthDeviceId() {
+		return `ha.${crypto.createHash('md5').update(`${LIB_ID}:${this.credentials.userId}`).digest('hex')}`;
+	};
+
+	/**
+	 * Получает код OAuth-авторизации, открывая страницу авторизации с cookie passToken.
+	 * Xiaomi выдает код без подтверждения, если приложение уже авторизовано для аккаунта.
+	 * @returns {Promise<string>} Код авторизации.
+	 * @throws {Error} Если passToken отсутствует или Xiaomi требует подтверждения в браузере.
+	 */
+	async #authorize() {
+		if (!this.credentials.passToken || !this.credentials.userId)
+			throw new Error('Cannot obtain OAuth access token for cloud push: passToken is missing');
+		const state = crypto.randomBytes(16).toString('hex');
+		let url = new URL('https://account.xiaomi.com/oauth2/authorize');
+		url.search = new URLSearchParams({
+			client_id: OAUTH_CLIENT_ID,
+			redirect_uri: OAUTH_REDIRECT_URI,
+			response_type: 'code',
+			device_id: this.#oauthDeviceId,
+			state,
+			skip_confirm: 'true'
+		}).toString();
+		const cookies = new Map([['userId', String(this.credentials.userId)], ['passToken', this.credentials.passToken]]);
+		const { signal, clear } = createSignal({ timeout: this.client.config.requestTimeout ?? CLOUD_REQUEST_TIMEOUT });
+		try {
+			for (let i = 0; i < 10; i++) {
+				this.client.log('debug', `OAuth authorization: fetching ${url.origin}${url.pathname}`);
+				const response = await fetch(url, {
+					signal,
+					redirect: 'manual',
+					headers: { 'Cookie': Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ') }
+				});
+				for (const cookie of response.headers.getSetCookie()) {
+					const [name, ...value] = cookie.split(';')[0].split('=');
+					cookies.set(name.trim(), value.join('='));
+				}
+				const location = response.headers.get('location');
+				if ((response.status < 300) || (response.status >= 400) || !location)
+					break;
+				url = new URL(location, url);
+				if (url.href.startsWith(OAUTH_REDIRECT_URI)) {
+					const code = url.searchParams.get('code');
+					if (!code || (url.searchParams.get('state') !== state))
+						throw new Error(`OAuth authorization failed: ${url.searchParams.get('error_description') || url.searchParams.get('error') || 'code not received'}`);
+					return code;
+				}
+			}
+		} finally {
+			clear();
+		}
+		throw new Error('OAuth authorization requires confirmation in a browser, set accessToken and refreshToken in credentials');
+	};
+
+	/**
+	 * Запрашивает OAuth access token по коду авторизации или refresh token.
+	 * @param {{ code: string }|{ refresh_token: string }} grant Код авторизации или refresh token.
+	 * @returns {Promise<{ access_token: string, refresh_token: string, expires_in: number }>} Выданные токены.
+	 * @throws {MiotError|Error} Если сервер отклонил запрос.
+	 */
+	async #requestAccessToken(grant) {
+		const country = this.isAutoCountry ? DEFAULT_COUNTRY : this.credentials.country;
+		const url = new URL(`https://${(country === 'cn') ? '' : `${country}.`}${OAUTH_API_HOST}/app/v2/ha/oauth/get_token`);
+		url.searchParams.set('data', JSON.stringify({
+			client_id: OAUTH_CLIENT_ID,
+			redirect_uri: OAUTH_REDIRECT_URI,
+			device_id: this.#oauthDeviceId,
+			...grant
+		}));
+		const { signal, clear } = createSignal({ timeout: this.client.config.requestTimeout ?? CLOUD_REQUEST_TIMEOUT });
+		try {
+			const response = await fetch(url, { signal, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+			const text = await response.text();
+			if (!response.ok)
+				throw Object.assign(new Error(`OAuth token request failed with status ${response.status}`), { status: response.status });
+			const data = this.parseJson(text);
+			if ((typeof data.code === 'number') && (data.code !== 0))
+				throw new MiotError(data.code, { message: data.message });
+			if (!data.result?.access_token)
+				throw new Error('OAuth token request failed: access_token not found');
+			return data.result;
+		} finally {
+			clear();
+		}
+	};
+
+	/**
+	 * Подписывается на push-уведомления облака об изменении свойств и событиях устройств.
+	 * Уведомления доставляет MQTT-брокер Xiaomi региона устройств (`MIPS_COUNTRIES`),
+	 * для подключения к нему используется OAuth access token (см. `getAccessToken`).
+	 * После разрыва соединения подключение и подписки восстанавливаются автоматически.
+	 * @param {PushSubscription[]} subscriptions Список свойств и событий для подписки.
+	 * @param {(message: PushMessage) => void} onMessage Функция, вызываемая для каждого уведомления.
+	 * @param {object} [options] Опции подписки.
+	 * @param {string} [options.country] Регион облака устройств. По умолчанию регион из учетных данных или `DEFAULT_COUNTRY`.
+	 * @param {(connected: boolean) => void} [options.onStatus] Функция, вызываемая при потере и восстановлении соединения с брокером.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены подписки.
+	 * @returns {Promise<() => Promise<void>>} Функция отписки.
+	 * @throws {Error} Если регион не поддерживается, access token недоступен или брокер отклонил подключение или подписку.
+	 */
+	async subscribe(subscriptions, onMessage, options) {
+		if (!this.#push)
+			this.#push = new Push(this);
+		this.client.log('debug', 'Subscribing to cloud push notifications:', subscriptions);
+		return this.#push.subscribe(subscriptions, onMessage, options);
 	};
 
 	/**
 	 * Выполняет запрос к облачному API Xiaomi.
+	 * Если сервер отвечает ошибкой авторизации (истекший serviceToken), выполняет повторный вход
+	 * (через passToken или логин/пароль) и повторяет исходный запрос один раз.
+	 * Если режим шифрования не указан явно, сначала используется обычный подписанный запрос,
+	 * а при HTTP-ошибке запрос повторяется в зашифрованном (RC4) варианте; путь запоминается
+	 * и последующие запросы к нему сразу отправляются зашифрованными.
 	 * @param {string} path Путь API запроса.
 	 * @param {object} data Данные запроса.
+	 * @param {object} [options] Опции запроса.
+	 * @param {boolean} [options.encrypted] Использовать зашифрованный (RC4) вариант API. По умолчанию определяется автоматически.
+	 * @param {string} [options.country] Регион облака для запроса. По умолчанию берется из учетных данных;
+	 *   в режиме 'auto' без явного региона используется `DEFAULT_COUNTRY`.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены запроса.
+	 * @param {number} [options.timeout] Таймаут одной попытки HTTP-запроса в миллисекундах.
+	 *   По умолчанию `requestTimeout` из конфигурации клиента или `CLOUD_REQUEST_TIMEOUT`.
 	 * @returns {Promise<object>} Ответ API в формате JSON.
-	 * @throws {Error} Если запрос завершился с ошибкой.
+	 * @throws {Error} Если запрос завершился с ошибкой, был отменен или превысил таймаут.
+	 * @throws {MiotError} Если облако вернуло ненулевой код результата.
 	 */
-	async request(path, data) {
+	async request(path, data, options = {}) {
 		this.client.log('debug', `Cloud request to ${path} with data:`, data);
 		if (!this.credentials.serviceToken) {
 			this.client.log('info', 'No serviceToken found, attempting login before request');
-			await this.login();
+			await this.login(undefined, { signal: options.signal });
 		}
-		if (!COUNTRIES.includes(this.credentials.country))
-			throw new Error(`The country ${this.credentials.country} is not support, list supported countries is ${COUNTRIES.join(', ')}`);
-		const params = {
-			data: JSON.stringify(data)
+		const country = options.country || (this.isAutoCountry ? DEFAULT_COUNTRY : this.credentials.country);
+		if (!COUNTRIES.includes(/** @type {any} */ (country)))
+			throw new Error(`The country ${country} is not support, list supported countries is ${COUNTRIES.join(', ')}`);
+		const sendOptions = {
+			signal: options.signal,
+			timeout: options.timeout ?? this.client.config.requestTimeout ?? CLOUD_REQUEST_TIMEOUT
 		};
+		const send = async () => {
+			const encrypted = options.encrypted ?? this.#encryptedPaths.has(path);
+			try {
+				return await this.#send(path, data, country, encrypted, sendOptions);
+			} catch (err) {
+				if ((options.encrypted !== undefined) || encrypted || !err.status)
+					throw err;
+				this.client.log('info', `Plain cloud request to ${path} failed with status ${err.status}, retrying with encrypted protocol.`);
+				const result = await this.#send(path, data, country, true, sendOptions);
+				this.#encryptedPaths.add(path);
+				return result;
+			}
+		};
+		let result = await send();
+		if (result === undefined) {
+			this.client.log('warn', `Cloud session expired during request to ${path}, re-authenticating.`);
+			await abortable(this.#relogin(), options.signal);
+			result = await send();
+			if (result === undefined)
+				throw new Error('Request error: authorization failed after re-login');
+		}
+		if ((typeof result.code === 'number') && (result.code !== 0))
+			throw new MiotError(result.code, { message: result.message });
+		return result;
+	};
+
+	/**
+	 * Сбрасывает истекший serviceToken и выполняет повторный вход.
+	 * Новые токены сообщаются через событие `login` клиента.
+	 * @returns {Promise<void>}
+	 */
+	async #relogin() {
+		if (!this.#reloginPromise)
+			this.#reloginPromise = (async () => {
+				try {
+					delete this.credentials.serviceToken;
+					await this.login();
+				} finally {
+					this.#reloginPromise = null;
+				}
+			})();
+		return this.#reloginPromise;
+	};
+
+	/**
+	 * Проверяет, является ли ответ облака ошибкой авторизации.
+	 * @param {number} status HTTP статус ответа.
+	 * @param {any} [body] Разобранное тело ответа.
+	 * @returns {boolean}
+	 */
+	#isAuthError(status, body) {
+		if ((status === 401) || (status === 403))
+			return true;
+		return (body?.code === -8) || /auth err/i.test(body?.message || '');
+	};
+
+	/**
+	 * Выполняет одну попытку подписанного запроса к облаку.
+	 * @param {string} path Путь API запроса.
+	 * @param {object} data Данные запроса.
+	 * @param {string} country Регион облака.
+	 * @param {boolean} [encrypted=false] Использовать зашифрованный (RC4) вариант API.
+	 * @param {object} [options] Опции отмены.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены запроса.
+	 * @param {number} [options.timeout] Таймаут запроса в миллисекундах.
+	 * @returns {Promise<object|undefined>} Ответ API или `undefined`, если сессия истекла.
+	 * @throws {Error & { status?: number }} Если запрос завершился с ошибкой. Для HTTP-ошибок содержит `status`.
+	 */
+	async #send(path, data, country, encrypted = false, options = {}) {
 		const _nonce = this.generateNonce();
 		const signedNonce = this.signedNonce(this.credentials.ssecurity, _nonce);
-		const signature = this.generateSignature(path, signedNonce, _nonce, params);
+		/** @type {Record<string, string>} */
+		let params = {
+			data: JSON.stringify(data)
+		};
+		if (encrypted) {
+			params.rc4_hash__ = this.generateEncSignature(path, 'POST', signedNonce, params);
+			for (const key in params) {
+				params[key] = this.encryptRc4(signedNonce, params[key]);
+			}
+			params = {
+				...params,
+				signature: this.generateEncSignature(path, 'POST', signedNonce, params),
+				ssecurity: this.credentials.ssecurity,
+				_nonce
+			};
+		} else
+			params = {
+				...params,
+				signature: this.generateSignature(path, signedNonce, _nonce, params),
+				_nonce
+			};
 
-		this.client.log('debug', `Sending cloud request to: ${this.getApiUrl(this.credentials.country)}${path}`);
-		const controller = new AbortController();
-		const timerId = setTimeout(() => controller.abort(), 5_000);
+		this.client.log('debug', `Sending ${encrypted ? 'encrypted ' : ''}cloud request to: ${this.getApiUrl(country)}${path}`);
+		const { signal, clear } = createSignal(options);
 		try {
-			const res = await fetch(this.getApiUrl(this.credentials.country) + path, {
+			const res = await fetch(this.getApiUrl(country) + path, {
 				method: 'POST',
-				signal: controller.signal,
+				signal,
 				headers: {
 					'x-xiaomi-protocal-flag-cli': 'PROTOCAL-HTTP2',
 					'Content-Type': 'application/x-www-form-urlencoded',
+					...(encrypted && {
+						'Accept-Encoding': 'identity',
+						'MIOT-ENCRYPT-ALGORITHM': 'ENCRYPT-RC4'
+					}),
 					Cookie: [
 						`userId=${this.credentials.userId}`,
 						`serviceToken=${this.credentials.serviceToken}`,
+						...(encrypted ? [`yetAnotherServiceToken=${this.credentials.serviceToken}`] : []),
 						`locale=${this.locale}`,
 					].join('; '),
 				},
-				body: new URLSearchParams({
-					signature, _nonce,
-					data: params.data
-				})
+				body: new URLSearchParams(params)
 			});
 			if (res.ok) {
-				const result = await res.json();
+				const text = await res.text();
+				const result = JSON.parse(encrypted ? this.decryptRc4(signedNonce, text) : text);
+				if (this.#isAuthError(res.status, result)) {
+					this.client.log('debug', `Cloud request to ${path} rejected with auth error:`, result);
+					return;
+				}
 				this.client.log('debug', `Cloud request to ${path} successful, result:`, result);
 				this.client.log('info', `Cloud request to ${path} successful.`);
 				return result;
 			} else {
+				if (this.#isAuthError(res.status)) {
+					this.client.log('debug', `Cloud request to ${path} rejected with status ${res.status}`);
+					return;
+				}
 				this.client.log('error', `Cloud request to ${path} failed with status ${res.status} ${res.statusText}`);
 				let errorBody = '';
 				try {
 					errorBody = await res.text();
 				} catch (err) {}
 				this.client.log('debug', `Cloud request error body: ${errorBody}`);
-				throw new Error(`Request error with status ${res.statusText}`);
+				throw Object.assign(new Error(`Request error with status ${res.statusText}`), { status: res.status });
 			}
 		} catch (err) {
-			if (err.name === 'AbortError') {
-				this.client.log('error', `Cloud request to ${path} timed out after 5000ms`);
-				throw new Error('Request timed out');
+			if (signal.aborted) {
+				if (options.signal?.aborted)
+					this.client.log('debug', `Cloud request to ${path} was cancelled`);
+				else
+					this.client.log('error', `Cloud request to ${path} timed out after ${options.timeout}ms`);
+				throw signal.reason;
 			}
 			this.client.log('error', `Network error during cloud request to ${path}:`, err);
 			throw err;
 		} finally {
-			clearTimeout(timerId);
+			clear();
 		}
 	};
 };
@@ -10,8 +10,11 @@ export const CREDENTIALS_FILE = path.join(CONFIG_DIR, 'credentials.json');
 /** Полный путь к файлу с временным кешем устройств. */
 export const DEVICE_CACHE_FILE = path.join(CONFIG_DIR, 'device_cache.json');
 
-/** Полный путь к файлу с долгосрочным списком устройств из облака. */
-export const CLOUD_DEVICE_LIST_FILE = path.join(CONFIG_DIR, 'cloud_device_list.json');
+/** Полный путь к файлу постоянного реестра устройств. */
+export const DEVICE_REGISTRY_FILE = path.join(CONFIG_DIR, 'devices.json');
+
+/** Путь к директории с кэшем спецификаций моделей miot-spec.org. */
+export const SPEC_CACHE_DIR = path.join(CONFIG_DIR, 'specs');
 
 /** Раскрывает тильду в полный путь */
 export const expandPath = (/** @type {string} */ filePath) => filePath.replace(/^~/, homedir());
@@ -0,0 +1,203 @@
+import {
+	NOTIFY_POLLING_INTERVAL, NOTIFY_POLLING_MAX_INTERVAL, NOTIFY_POLLING_BACKOFF_FACTOR,
+	NOTIFY_BOOST_INTERVAL, NOTIFY_BOOST_DURATION, QUEUE_PRIORITY
+} from './constants.js';
+/** @import { default as Device, Property } from './device.js' */
+
+/**
+ * Окно в миллисекундах, в пределах которого свойства с близким временем опроса объединяются в один запрос.
+ */
+const MERGE_WINDOW = 1_000;
+
+/**
+ * Общий планировщик опроса свойств устройства (MiIO/облако).
+ * Объединяет все подписанные свойства в один пакетный запрос, учитывает интервал каждой подписки,
+ * увеличивает интервал, пока устройство не отвечает, и ускоряет опрос сразу после записи.
+ */
+export default class Poller {
+	/**
+	 * Опрашиваемые свойства, где ключ - ключ свойства.
+	 * @type {Map<string, { prop: Property, interval: number, nextPoll: number }>}
+	 */
+	#entries = new Map();
+
+	/**
+	 * Таймер следующего опроса.
+	 * @type {NodeJS.Timeout|null}
+	 */
+	#timerId = null;
+
+	/**
+	 * Промис выполняющегося опроса.
+	 * @type {Promise<void>|null}
+	 */
+	#running = null;
+
+	/**
+	 * Количество неудачных опросов подряд.
+	 * @type {number}
+	 */
+	#failures = 0;
+
+	/**
+	 * Время окончания ускоренного опроса после записи.
+	 * @type {number}
+	 */
+	#boostUntil = 0;
+
+	/**
+	 * Устройство, свойства которого опрашиваются.
+	 * @type {Device}
+	 */
+	device = null;
+
+	/**
+	 * @param {Device} device Устройство, свойства которого нужно опрашивать.
+	 */
+	constructor(device) {
+		this.device = device;
+	};
+
+	/**
+	 * Количество опрашиваемых свойств.
+	 * @type {number}
+	 */
+	get size() {
+		return this.#entries.size;
+	};
+
+	/**
+	 * Добавляет свойство в опрос. Для нового свойства сразу выполняется опрос.
+	 * Если свойство уже опрашивается, используется меньший из интервалов.
+	 * @param {Property} prop Объект свойства.
+	 * @param {number} [interval] Интервал опроса в миллисекундах.
+	 * @returns {Promise<void>}
+	 */
+	async add(prop, interval = NOTIFY_POLLING_INTERVAL) {
+		const entry = this.#entries.get(prop.key);
+		if (entry) {
+			entry.interval = Math.min(entry.interval, interval);
+			entry.nextPoll = Math.min(entry.nextPoll, Date.now() + entry.interval);
+			this.#schedule();
+			return;
+		}
+		this.#entries.set(prop.key, { prop, interval, nextPoll: 0 });
+		await this.poll();
+	};
+
+	/**
+	 * Изменяет интервал опроса свойства (например, когда значения начали поступать push-уведомлениями).
+	 * @param {string} key Ключ свойства.
+	 * @param {number} interval Новый интервал опроса в миллисекундах.
+	 */
+	update(key, interval) {
+		const entry = this.#entries.get(key);
+		if (!entry)
+			return;
+		entry.interval = interval;
+		entry.nextPoll = Date.now() + interval;
+		this.#schedule();
+	};
+
+	/**
+	 * Удаляет свойство из опроса. Когда опрашиваемых свойств не остается, таймер останавливается.
+	 * @param {string} key Ключ свойства.
+	 */
+	remove(key) {
+		this.#entries.delete(key);
+		if (!this.#entries.size)
+			this.stop();
+	};
+
+	/**
+	 * Ускоряет опрос на время `NOTIFY_BOOST_DURATION`, чтобы быстрее получить результат записи.
+	 */
+	boost() {
+		if (!this.#entries.size)
+			return;
+		const now = Date.now();
+		this.#boostUntil = now + NOTIFY_BOOST_DURATION;
+		for (const entry of this.#entries.values())
+			entry.nextPoll = Math.min(entry.nextPoll, now + NOTIFY_BOOST_INTERVAL);
+		this.#schedule();
+	};
+
+	/**
+	 * Останавливает опрос и удаляет все свойства.
+	 */
+	stop() {
+		clearTimeout(this.#timerId);
+		this.#timerId = null;
+		this.#entries.clear();
+		this.#failures = 0;
+		this.#boostUntil = 0;
+	};
+
+	/**
+	 * Выполняет опрос свойств, время которых подошло, и планирует следующий.
+	 * @returns {Promise<void>}
+	 */
+	async poll() {
+		if (this.#running)
+			await this.#running;
+		if (this.#running)
+			return this.#running;
+		clearTimeout(this.#timerId);
+		this.#timerId = null;
+		this.#running = this.#tick().finally(() => {
+			this.#running = null;
+			this.#schedule();
+		});
+		return this.#running;
+	};
+
+	/**
+	 * Опрашивает свойства одним пакетным запросом.
+	 * @returns {Promise<void>}
+	 */
+	async #tick() {
+		const now = Date.now();
+		const due = [...this.#entries.values()].filter(({ nextPoll }) => (nextPoll <= now + MERGE_WINDOW));
+		if (!due.length)
+			return;
+		const { client } = this.device;
+		try {
+			const values = await this.device.getProperties(due.map(({ prop }) => prop), { priority: QUEUE_PRIORITY.low });
+			this.#failures = 0;
+			client.log('debug', `Polled ${due.length} properties on "${this.device.getName()}":`, values);
+			for (const key in values) {
+				if (values[key] instanceof Error)
+					client.log('warn', `Polling property '${key}' on "${this.device.getName()}" failed:`, values[key].message);
+			}
+		} catch (err) {
+			this.#failures++;
+			client.log('error', `Error during polling on device "${this.device.getName()}" (failure ${this.#failures}):`, err);
+		}
+		for (const entry of due)
+			entry.nextPoll = Date.now() + this.#getInterval(entry.interval);
+	};
+
+	/**
+	 * Вычисляет фактический интервал с учетом ускорения после записи и замедления при ошибках.
+	 * @param {number} interval Интервал подписки.
+	 * @returns {number}
+	 */
+	#getInterval(interval) {
+		if (this.#failures)
+			return Math.max(interval, Math.min(interval * (NOTIFY_POLLING_BACKOFF_FACTOR ** this.#failures), NOTIFY_POLLING_MAX_INTERVAL));
+		if (Date.now() < this.#boostUntil)
+			return Math.min(interval, NOTIFY_BOOST_INTERVAL);
+		return interval;
+	};
+
+	/**
+	 * Планирует следующий опрос по ближайшему времени среди свойств.
+	 */
+	#schedule() {
+		if (this.#running || !this.#entries.size)
+			return;
+		clearTimeout(this.#timerId);
+		const nextPoll = Math.min(...[...this.#entries.values()].map(({ nextPoll }) => nextPoll));
+		this.#timerId = setTimeout(() => this.poll(), Math.max(0, nextPoll - Date.now()));
+	};
+};
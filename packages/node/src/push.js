@@ -0,0 +1,741 @@
+import EventEmitter from 'events';
+import crypto from 'crypto';
+import net from 'net';
+import tls from 'tls';
+import { createSignal, abortable } from './index.js';
+import {
+	DEFAULT_COUNTRY, MIPS_COUNTRIES, MIPS_PORT, MIPS_KEEPALIVE, MIPS_CONNECT_TIMEOUT, MIPS_RETRY_INTERVAL,
+	OAUTH_CLIENT_ID, RECONNECT_INITIAL_DELAY, RECONNECT_MAX_DELAY, RECONNECT_FACTOR
+} from './constants.js';
+/** @import { XiaomiMiHome } from './index.js' */
+/** @import Miot from './miot.js' */
+
+/**
+ * Типы управляющих пакетов MQTT 3.1.1, используемые клиентом.
+ */
+const PACKET = /** @type {const} */ ({
+	connect: 1,
+	connack: 2,
+	publish: 3,
+	puback: 4,
+	subscribe: 8,
+	suback: 9,
+	unsubscribe: 10,
+	unsuback: 11,
+	pingreq: 12,
+	pingresp: 13,
+	disconnect: 14
+});
+
+/**
+ * Расшифровка кодов отказа в ответе CONNACK.
+ */
+const CONNACK_ERRORS = {
+	1: 'Unacceptable protocol version',
+	2: 'Client identifier rejected',
+	3: 'Server unavailable',
+	4: 'Bad username or password',
+	5: 'Not authorized'
+};
+
+/**
+ * Кодирует длину оставшейся части пакета MQTT (1-4 байта по 7 бит).
+ * @param {number} length Длина в байтах.
+ * @returns {Buffer} Закодированная длина.
+ */
+function encodeLength(length) {
+	const bytes = [];
+	do {
+		let byte = length % 128;
+		length = Math.floor(length / 128);
+		if (length > 0)
+			byte |= 0x80;
+		bytes.push(byte);
+	} while (length > 0);
+	return Buffer.from(bytes);
+};
+
+/**
+ * Кодирует строку MQTT: длина (2 байта) и содержимое в UTF-8.
+ * @param {string} value Строка.
+ * @returns {Buffer} Закодированная строка.
+ */
+function encodeString(value) {
+	const data = Buffer.from(value, 'utf-8');
+	const length = Buffer.alloc(2);
+	length.writeUInt16BE(data.length);
+	return Buffer.concat([length, data]);
+};
+
+/**
+ * Собирает пакет MQTT из фиксированного заголовка и тела.
+ * @param {number} type Тип пакета (`PACKET`).
+ * @param {number} flags Флаги фиксированного заголовка (младшие 4 бита).
+ * @param {Buffer} [body] Переменный заголовок и полезная нагрузка.
+ * @returns {Buffer} Пакет.
+ */
+function createPacket(type, flags, body = Buffer.alloc(0)) {
+	return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeLength(body.length), body]);
+};
+
+/**
+ * Возвращает тему MQTT-брокера Xiaomi для свойства или события устройства.
+ * @param {PushSubscription} subscription Подписка.
+ * @returns {string} Тема.
+ */
+function getTopic({ did, siid, piid, eiid }) {
+	return (eiid !== undefined)
+		? `device/${did}/up/event_occured/${siid}/${eiid}`
+		: `device/${did}/up/properties_changed/${siid}/${piid}`;
+};
+
+/**
+ * Подписка на push-уведомления облака: свойство (`piid`) или событие (`eiid`) устройства.
+ * @typedef {object} PushSubscription
+ * @property {string} did ID устройства.
+ * @property {number} siid ID сервиса.
+ * @property {number} [piid] ID свойства.
+ * @property {number} [eiid] ID события.
+ */
+
+/**
+ * Push-уведомление облака: новое значение свойства или аргументы события (`[{piid, value}]`).
+ * @typedef {PushSubscription & { value?: any, arguments?: any[] }} PushMessage
+ */
+
+/**
+ * Получатель push-уведомлений.
+ * @typedef {object} Subscriber
+ * @property {(message: PushMessage) => void} onMessage Функция, вызываемая для каждого уведомления.
+ * @property {(connected: boolean) => void} [onStatus] Функция, вызываемая при потере и восстановлении соединения с брокером.
+ */
+
+/**
+ * Подключение к MQTT-брокеру одного региона и его подписки.
+ * @typedef {object} Broker
+ * @property {string} country Регион облака.
+ * @property {MqttClient|null} mqtt Активное подключение.
+ * @property {Map<string, Set<Subscriber>>} topics Получатели уведомлений, где ключ - тема.
+ * @property {Promise<void>|null} connecting Текущее подключение, если оно выполняется.
+ * @property {NodeJS.Timeout|null} timer Таймер повторного подключения.
+ * @property {number} attempt Номер попытки повторного подключения.
+ */
+
+/**
+ * Минимальный клиент MQTT 3.1.1 для приема уведомлений.
+ * Поддерживает подключение с логином и паролем, подписку и отписку (QoS 0), прием PUBLISH (QoS 0 и 1)
+ * и поддержание соединения через PINGREQ. Полученные сообщения генерируются как событие `message` (тема, полезная нагрузка),
+ * разрыв соединения - как событие `close` с причиной. Повторное подключение выполняет вызывающий код.
+ */
+export class MqttClient extends EventEmitter {
+	/**
+	 * Адрес брокера.
+	 * @type {string}
+	 */
+	host;
+
+	/**
+	 * Порт брокера.
+	 * @type {number}
+	 */
+	port = MIPS_PORT;
+
+	/**
+	 * Использовать TLS.
+	 * @type {boolean}
+	 */
+	secure = true;
+
+	/**
+	 * Идентификатор клиента MQTT.
+	 * @type {string}
+	 */
+	clientId;
+
+	/**
+	 * Имя пользователя MQTT.
+	 * @type {string|undefined}
+	 */
+	username;
+
+	/**
+	 * Пароль MQTT.
+	 * @type {string|undefined}
+	 */
+	password;
+
+	/**
+	 * Интервал поддержания соединения в секундах.
+	 * @type {number}
+	 */
+	keepalive = MIPS_KEEPALIVE;
+
+	/**
+	 * Сокет подключения к брокеру.
+	 * @type {net.Socket|null}
+	 */
+	#socket = null;
+
+	/**
+	 * Принятые, но еще не разобранные данные.
+	 * @type {Buffer}
+	 */
+	#buffer = Buffer.alloc(0);
+
+	/**
+	 * Идентификатор следующего пакета SUBSCRIBE/UNSUBSCRIBE.
+	 * @type {number}
+	 */
+	#packetId = 0;
+
+	/**
+	 * Ожидающие ответа пакеты, где ключ - идентификатор пакета (0 - CONNECT).
+	 * @type {Map<number, { resolve: (body: Buffer) => void, reject: (reason: any) => void }>}
+	 */
+	#pending = new Map();
+
+	/**
+	 * Таймер поддержания соединения.
+	 * @type {NodeJS.Timeout|null}
+	 */
+	#pingTimer = null;
+
+	/**
+	 * Признак отправленного PINGREQ, на который еще не пришел PINGRESP.
+	 * @type {boolean}
+	 */
+	#pingPending = false;
+
+	/**
+	 * Признак успешного подключения (получен CONNACK).
+	 * @type {boolean}
+	 */
+	#connected = false;
+
+	/**
+	 * Экземпляр класса XiaomiMiHome.
+	 * @type {XiaomiMiHome|undefined}
+	 */
+	client;
+
+	/**
+	 * @param {object} options Параметры подключения.
+	 * @param {string} options.host Адрес брокера.
+	 * @param {string} options.clientId Идентификатор клиента MQTT.
+	 * @param {number} [options.port] Порт брокера.
+	 * @param {boolean} [options.secure=true] Использовать TLS.
+	 * @param {string} [options.username] Имя пользователя.
+	 * @param {string} [options.password] Пароль.
+	 * @param {number} [options.keepalive] Интервал поддержания соединения в секундах.
+	 * @param {XiaomiMiHome} [client] Экземпляр клиента для логирования.
+	 */
+	constructor({ host, clientId, port, secure, username, password, keepalive }, client) {
+		super();
+		this.host = host;
+		this.clientId = clientId;
+		this.port = port ?? this.port;
+		this.secure = secure ?? this.secure;
+		this.username = username;
+		this.password = password;
+		this.keepalive = keepalive ?? this.keepalive;
+		this.client = client;
+	};
+
+	/**
+	 * Указывает, что клиент подключен к брокеру.
+	 * @type {boolean}
+	 */
+	get isConnected() {
+		return this.#connected;
+	};
+
+	/**
+	 * Подключается к брокеру и ожидает подтверждения CONNACK.
+	 * @param {object} [options] Опции подключения.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены подключения.
+	 * @param {number} [options.timeout] Таймаут подключения в миллисекундах (по умолчанию `MIPS_CONNECT_TIMEOUT`).
+	 * @returns {Promise<void>}
+	 * @throws {Error & { code?: number|string }} Если брокер отклонил подключение (`code` - код CONNACK),
+	 *   соединение не установлено, превышен таймаут или подключение отменено.
+	 */
+	async connect({ signal, timeout = MIPS_CONNECT_TIMEOUT } = {}) {
+		if (this.#socket)
+			throw new Error('MQTT client is already connected');
+		const { signal: connectSignal, clear } = createSignal({ signal, timeout });
+		const socket = this.secure
+			? tls.connect({ host: this.host, port: this.port, servername: this.host })
+			: net.connect({ host: this.host, port: this.port });
+		this.#socket = socket;
+		this.#buffer = Buffer.alloc(0);
+		socket.on('data', chunk => this.#onData(/** @type {Buffer} */ (chunk)));
+		socket.on('error', err => this.#close(err));
+		socket.on('close', () => this.#close(new Error('MQTT connection closed')));
+		try {
+			const connack = new Promise((resolve, reject) => this.#pending.set(0, { resolve, reject }));
+			socket.write(this.#createConnect());
+			const body = await abortable(connack, connectSignal);
+			if (body[1] !== 0)
+				throw Object.assign(new Error(`MQTT connection to ${this.host} refused: ${CONNACK_ERRORS[body[1]] || `code ${body[1]}`}`), { code: body[1] });
+		} catch (err) {
+			this.#close(err, false);
+			throw err;
+		} finally {
+			clear();
+		}
+		this.#connected = true;
+		this.#pingTimer = setInterval(() => this.#ping(), this.keepalive * 1_000);
+		this.client?.log('debug', `MQTT connected to ${this.host}:${this.port} as ${this.clientId}`);
+	};
+
+	/**
+	 * Подписывается на темы с QoS 0.
+	 * @param {string[]} topics Темы.
+	 * @returns {Promise<void>}
+	 * @throws {Error} Если брокер отклонил подписку на одну из тем или соединение разорвано.
+	 */
+	async subscribe(topics) {
+		const body = await this.#request(PACKET.subscribe, Buffer.concat(topics.map(topic => Buffer.concat([encodeString(topic), Buffer.from([0])]))));
+		const rejected = topics.filter((_, i) => (body[i + 2] === 0x80));
+		if (rejected.length)
+			throw new Error(`MQTT subscription rejected by ${this.host}: ${rejected.join(', ')}`);
+		this.client?.log('debug', `MQTT subscribed to ${topics.join(', ')}`);
+	};
+
+	/**
+	 * Отписывается от тем.
+	 * @param {string[]} topics Темы.
+	 * @returns {Promise<void>}
+	 * @throws {Error} Если соединение разорвано.
+	 */
+	async unsubscribe(topics) {
+		await this.#request(PACKET.unsubscribe, Buffer.concat(topics.map(encodeString)));
+		this.client?.log('debug', `MQTT unsubscribed from ${topics.join(', ')}`);
+	};
+
+	/**
+	 * Отправляет DISCONNECT и закрывает соединение. Событие `close` при этом не генерируется.
+	 */
+	async end() {
+		if (this.#connected)
+			this.#socket?.write(createPacket(PACKET.disconnect, 0));
+		this.#close(new Error('MQTT client ended'), false);
+	};
+
+	/**
+	 * Формирует пакет CONNECT (чистая сессия).
+	 * @returns {Buffer} Пакет.
+	 */
+	#createConnect() {
+		const flags = 0x02 | ((this.username !== undefined) ? 0x80 : 0) | ((this.password !== undefined) ? 0x40 : 0);
+		const keepalive = Buffer.alloc(2);
+		keepalive.writeUInt16BE(this.keepalive);
+		return createPacket(PACKET.connect, 0, Buffer.concat([
+			encodeString('MQTT'),
+			Buffer.from([4, flags]),
+			keepalive,
+			encodeString(this.clientId),
+			...((this.username !== undefined) ? [encodeString(this.username)] : []),
+			...((this.password !== undefined) ? [encodeString(this.password)] : [])
+		]));
+	};
+
+	/**
+	 * Отправляет пакет SUBSCRIBE или UNSUBSCRIBE и ожидает подтверждения.
+	 * @param {number} type Тип пакета.
+	 * @param {Buffer} payload Полезная нагрузка.
+	 * @returns {Promise<Buffer>} Тело подтверждения.
+	 */
+	async #request(type, payload) {
+		if (!this.#connected)
+			throw new Error('MQTT client is not connected');
+		this.#packetId = (this.#packetId % 0xffff) + 1;
+		const id = this.#packetId;
+		const header = Buffer.alloc(2);
+		header.writeUInt16BE(id);
+		const { signal, clear } = createSignal({ timeout: MIPS_CONNECT_TIMEOUT });
+		try {
+			const ack = new Promise((resolve, reject) => this.#pending.set(id, { resolve, reject }));
+			this.#socket.write(createPacket(type, 0x02, Buffer.concat([header, payload])));
+			return await abortable(ack, signal);
+		} finally {
+			this.#pending.delete(id);
+			clear();
+		}
+	};
+
+	/**
+	 * Отправляет PINGREQ. Если ответ на предыдущий не пришел, соединение считается потерянным.
+	 */
+	#ping() {
+		if (this.#pingPending) {
+			this.#close(new Error(`MQTT broker ${this.host} did not answer keepalive ping`));
+			return;
+		}
+		this.#pingPending = true;
+		this.#socket?.write(createPacket(PACKET.pingreq, 0));
+	};
+
+	/**
+	 * Накапливает входящие данные и разбирает из них целые пакеты.
+	 * @param {Buffer} chunk Полученные данные.
+	 */
+	#onData(chunk) {
+		this.#buffer = Buffer.concat([this.#buffer, chunk]);
+		while (this.#buffer.length >= 2) {
+			let length = 0;
+			let offset = 1;
+			let byte;
+			do {
+				if (offset >= this.#buffer.length)
+					return;
+				byte = this.#buffer[offset];
+				length += (byte & 0x7f) * (128 ** (offset - 1));
+				offset++;
+			} while ((byte & 0x80) && (offset < 5));
+			if (this.#buffer.length < (offset + length))
+				return;
+			const header = this.#buffer[0];
+			const body = this.#buffer.subarray(offset, offset + length);
+			this.#buffer = this.#buffer.subarray(offset + length);
+			this.#onPacket(header >> 4, header & 0x0f, body);
+		}
+	};
+
+	/**
+	 * Обрабатывает входящий пакет.
+	 * @param {number} type Тип пакета.
+	 * @param {number} flags Флаги фиксированного заголовка.
+	 * @param {Buffer} body Тело пакета.
+	 */
+	#onPacket(type, flags, body) {
+		switch (type) {
+			case PACKET.connack:
+				this.#pending.get(0)?.resolve(body);
+				this.#pending.delete(0);
+				break;
+			case PACKET.suback:
+			case PACKET.unsuback:
+				this.#pending.get(body.readUInt16BE(0))?.resolve(body);
+				break;
+			case PACKET.pingresp:
+				this.#pingPending = false;
+				break;
+			case PACKET.publish: {
+				const qos = (flags >> 1) & 0x03;
+				const topicLength = body.readUInt16BE(0);
+				const topic = body.toString('utf-8', 2, 2 + topicLength);
+				let offset = 2 + topicLength;
+				if (qos > 0) {
+					if (qos === 1)
+						this.#socket?.write(createPacket(PACKET.puback, 0, body.subarray(offset, offset + 2)));
+					offset += 2;
+				}
+				this.emit('message', topic, body.subarray(offset));
+				break;
+			}
+		}
+	};
+
+	/**
+	 * Закрывает соединение и отклоняет ожидающие запросы.
+	 * @param {Error} reason Причина закрытия.
+	 * @param {boolean} [notify=true] Сгенерировать событие `close`, если клиент был подключен.
+	 */
+	#close(reason, notify = true) {
+		if (!this.#socket)
+			return;
+		const wasConnected = this.#connected;
+		const socket = this.#socket;
+		this.#socket = null;
+		this.#connected = false;
+		this.#pingPending = false;
+		clearInterval(this.#pingTimer);
+		this.#pingTimer = null;
+		socket.removeAllListeners();
+		socket.on('error', () => {});
+		socket.destroy();
+		for (const { reject } of this.#pending.values())
+			reject(reason);
+		this.#pending.clear();
+		if (wasConnected) {
+			this.client?.log('debug', `MQTT connection to ${this.host} closed: ${reason.message}`);
+			if (notify)
+				this.emit('close', reason);
+		}
+	};
+};
+
+/**
+ * Push-уведомления облака Xiaomi через MQTT-брокер (MIoT Push Service).
+ * Держит одно подключение на регион, подписывается на темы свойств и событий устройств,
+ * доставляет сообщения получателям и восстанавливает подключение и подписки после разрыва.
+ * Для подключения используется OAuth access token, который выдает `Miot.getAccessToken`.
+ */
+export default class Push {
+	/**
+	 * Экземпляр класса Miot.
+	 * @type {Miot}
+	 */
+	miot;
+
+	/**
+	 * Подключения к брокерам, где ключ - регион облака.
+	 * @type {Map<string, Broker>}
+	 */
+	#brokers = new Map();
+
+	/**
+	 * Последняя ошибка получения access token и время, до которого новые попытки не выполняются.
+	 * @type {{ error: Error, until: number }|null}
+	 */
+	#failure = null;
+
+	/**
+	 * @param {Miot} miot Экземпляр класса Miot.
+	 */
+	constructor(miot) {
+		this.miot = miot;
+	};
+
+	/**
+	 * Экземпляр класса XiaomiMiHome.
+	 * @type {XiaomiMiHome}
+	 */
+	get client() {
+		return this.miot.client;
+	};
+
+	/**
+	 * Возвращает адрес MQTT-брокера региона.
+	 * @param {string} country Регион облака.
+	 * @returns {string} Адрес брокера.
+	 */
+	static getHost(country) {
+		return `${country}-ha.mqtt.io.mi.com`;
+	};
+
+	/**
+	 * Подписывается на push-уведомления для свойств и событий устройств одного региона.
+	 * Новое подключение подписывается на все зарегистрированные темы само, уже установленному передаются только новые темы.
+	 * @param {PushSubscription[]} subscriptions Список свойств и событий.
+	 * @param {(message: PushMessage) => void} onMessage Функция, вызываемая для каждого уведомления.
+	 * @param {object} [options] Опции подписки.
+	 * @param {string} [options.country] Регион облака устройств.
+	 * @param {(connected: boolean) => void} [options.onStatus] Функция, вызываемая при потере и восстановлении соединения с брокером.
+	 * @param {AbortSignal} [options.signal] Сигнал отмены подписки.
+	 * @returns {Promise<() => Promise<void>>} Функция отписки.
+	 * @throws {Error} Если регион не поддерживается, access token недоступен или брокер отклонил подключение или подписку.
+	 */
+	async subscribe(subscriptions, onMessage, { country, onStatus, signal } = {}) {
+		country ||= (this.miot.isAutoCountry ? DEFAULT_COUNTRY : this.miot.credentials.country);
+		if (!MIPS_COUNTRIES.includes(/** @type {any} */ (country)))
+			throw new Error(`Cloud push is not available in region ${country}, supported regions are ${MIPS_COUNTRIES.join(', ')}`);
+		if (this.#failure && (Date.now() < this.#failure.until))
+			throw this.#failure.error;
+		let broker = this.#brokers.get(country);
+		if (!broker) {
+			broker = { country, mqtt: null, topics: new Map(), connecting: null, timer: null, attempt: 0 };
+			this.#brokers.set(country, broker);
+		}
+		/** @type {Subscriber} */
+		const subscriber = { onMessage, onStatus };
+		const topics = [...new Set(subscriptions.map(getTopic))];
+		const added = broker.mqtt ? topics.filter(topic => !broker.topics.has(topic)) : [];
+		for (const topic of topics) {
+			if (!broker.topics.has(topic))
+				broker.topics.set(topic, new Set());
+			broker.topics.get(topic).add(subscriber);
+		}
+		let subscribed = true;
+		const unsubscribe = async () => {
+			if (!subscribed)
+				return;
+			subscribed = false;
+			const removed = [];
+			for (const topic of topics) {
+				const subscribers = broker.topics.get(topic);
+				subscribers?.delete(subscriber);
+				if (subscribers && !subscribers.size) {
+					broker.topics.delete(topic);
+					removed.push(topic);
+				}
+			}
+			if (!broker.topics.size) {
+				await this.#close(broker);
+				return;
+			}
+			if (removed.length && broker.mqtt?.isConnected)
+				await broker.mqtt.unsubscribe(removed).catch(err => this.client.log('warn', `Failed to unsubscribe from cloud push topics:`, err));
+		};
+		try {
+			await abortable(this.#connect(broker), signal);
+			if (added.length)
+				await broker.mqtt.subscribe(added);
+		} catch (err) {
+			await unsubscribe();
+			throw err;
+		}
+		this.client.log('debug', `Subscribed to cloud push topics in region ${country}:`, topics);
+		return unsubscribe;
+	};
+
+	/**
+	 * Подключается к брокеру региона, если подключение еще не установлено, и подписывается на все его темы.
+	 * Если брокер отклонил access token, токен обновляется и подключение повторяется один раз.
+	 * @param {Broker} broker Подключение региона.
+	 * @returns {Promise<void>}
+	 */
+	async #connect(broker) {
+		if (broker.mqtt?.isConnected)
+			return;
+		if (!broker.connecting)
+			broker.connecting = (async () => {
+				const mqtt = new MqttClient({
+					host: Push.getHost(broker.country),
+					clientId: `ha.${crypto.randomBytes(16).toString('hex')}`,
+					username: OAUTH_CLIENT_ID,
+					password: await this.#getAccessToken()
+				}, this.client);
+				try {
+					await mqtt.connect();
+				} catch (err) {
+					if ((err.code !== 4) && (err.code !== 5))
+						throw err;
+					this.client.log('info', `Cloud push broker ${mqtt.host} rejected the access token, refreshing it.`);
+					mqtt.password = await this.#getAccessToken(true);
+					await mqtt.connect();
+				}
+				if (!broker.topics.size) {
+					await mqtt.end();
+					return;
+				}
+				mqtt.on('message', (topic, payload) => this.#onMessage(broker, topic, payload));
+				mqtt.on('close', err => this.#onClose(broker, mqtt, err));
+				broker.mqtt = mqtt;
+				try {
+					await mqtt.subscribe([...broker.topics.keys()]);
+				} catch (err) {
+					broker.mqtt = null;
+					await mqtt.end();
+					throw err;
+				}
+				broker.attempt = 0;
+				this.client.log('info', `Connected to cloud push broker ${mqtt.host}`);
+			})().finally(() => {
+				broker.connecting = null;
+			});
+		return broker.connecting;
+	};
+
+	/**
+	 * Получает access token. Ошибка запоминается на `MIPS_RETRY_INTERVAL`, чтобы не повторять вход для каждой подписки.
+	 * @param {boolean} [force=false] Обновить токен, даже если срок его жизни не истек.
+	 * @returns {Promise<string>} Access token.
+	 */
+	async #getAccessToken(force = false) {
+		try {
+			const token = await this.miot.getAccessToken({ force });
+			this.#failure = null;
+			return token;
+		} catch (err) {
+			this.#failure = { error: err, until: Date.now() + MIPS_RETRY_INTERVAL };
+			throw err;
+		}
+	};
+
+	/**
+	 * Доставляет сообщение брокера получателям темы.
+	 * @param {Broker} broker Подключение региона.
+	 * @param {string} topic Тема.
+	 * @param {Buffer} payload Полезная нагрузка (JSON с полем `params`).
+	 */
+	#onMessage(broker, topic, payload) {
+		let message;
+		try {
+			message = JSON.parse(payload.toString('utf-8'));
+		} catch (err) {
+			this.client.log('debug', `Invalid cloud push message on ${topic}:`, payload.toString('utf-8'));
+			return;
+		}
+		if (!message?.params)
+			return;
+		this.client.log('debug', `Cloud push message on ${topic}:`, message.params);
+		for (const { onMessage } of broker.topics.get(topic) || []) {
+			try {
+				onMessage(message.params);
+			} catch (err) {
+				this.client.log('error', `Error in cloud push handler for ${topic}:`, err);
+			}
+		}
+	};
+
+	/**
+	 * Обрабатывает разрыв соединения: сообщает получателям и планирует повторное подключение.
+	 * @param {Broker} broker Подключение региона.
+	 * @param {MqttClient} mqtt Разорванное подключение.
+	 * @param {Error} reason Причина разрыва.
+	 */
+	#onClose(broker, mqtt, reason) {
+		if (broker.mqtt !== mqtt)
+			return;
+		broker.mqtt = null;
+		this.client.log('warn', `Connection to cloud push broker ${mqtt.host} lost: ${reason.message}`);
+		this.#notifyStatus(broker, false);
+		this.#scheduleReconnect(broker);
+	};
+
+	/**
+	 * Планирует повторное подключение с растущей задержкой (`RECONNECT_INITIAL_DELAY` ... `RECONNECT_MAX_DELAY`).
+	 * @param {Broker} broker Подключение региона.
+	 */
+	#scheduleReconnect(broker) {
+		if (!broker.topics.size || broker.timer)
+			return;
+		const delay = Math.min(RECONNECT_INITIAL_DELAY * (RECONNECT_FACTOR ** broker.attempt), RECONNECT_MAX_DELAY);
+		broker.attempt++;
+		broker.timer = setTimeout(async () => {
+			broker.timer = null;
+			try {
+				await this.#connect(broker);
+				if (broker.mqtt)
+					this.#notifyStatus(broker, true);
+			} catch (err) {
+				this.client.log('warn', `Reconnection to cloud push broker ${Push.getHost(broker.country)} failed: ${err.message}`);
+				this.#scheduleReconnect(broker);
+			}
+		}, delay);
+	};
+
+	/**
+	 * Сообщает получателям подключения о потере или восстановлении соединения.
+	 * @param {Broker} broker Подключение региона.
+	 * @param {boolean} connected Соединение восстановлено.
+	 */
+	#notifyStatus(broker, connected) {
+		const subscribers = new Set([...broker.topics.values()].flatMap(subscribers => [...subscribers]));
+		for (const { onStatus } of subscribers) {
+			try {
+				onStatus?.(connected);
+			} catch (err) {
+				this.client.log('error', 'Error in cloud push status handler:', err);
+			}
+		}
+	};
+
+	/**
+	 * Закрывает подключение региона, у которого не осталось подписок.
+	 * @param {Broker} broker Подключение региона.
+	 */
+	async #close(broker) {
+		if (this.#brokers.get(broker.country) === broker)
+			this.#brokers.delete(broker.country);
+		clearTimeout(broker.timer);
+		broker.timer = null;
+		const mqtt = broker.mqtt;
+		broker.mqtt = null;
+		if (mqtt) {
+			await mqtt.end();
+			this.client.log('info', `Disconnected from cloud push broker ${mqtt.host}`);
+		}
+	};
+};
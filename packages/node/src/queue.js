@@ -0,0 +1,154 @@
+import { createSignal, abortable, getAbortError } from './index.js';
+import { QUEUE_PRIORITY, QUEUE_ABORT_GRACE } from './constants.js';
+
+/**
+ * @typedef {object} QueueOptions
+ * @property {number} [priority=QUEUE_PRIORITY.normal] Приоритет задачи: задачи с большим приоритетом выполняются раньше,
+ *   задачи с равным приоритетом - в порядке добавления.
+ * @property {AbortSignal} [signal] Сигнал отмены. Отменяет задачу в очереди или сообщает выполняющейся задаче об отмене.
+ * @property {number} [timeout] Максимальное время выполнения задачи в миллисекундах (без учета ожидания в очереди).
+ */
+
+/**
+ * @template T
+ * @typedef {object} QueueItem
+ * @property {(signal: AbortSignal) => Promise<T>} task Задача.
+ * @property {number} priority Приоритет задачи.
+ * @property {AbortSignal} [signal] Сигнал отмены вызывающей стороны.
+ * @property {number} [timeout] Таймаут выполнения.
+ * @property {(value: T) => void} resolve
+ * @property {(reason: any) => void} reject
+ * @property {() => void} [onAbort] Обработчик отмены, пока задача ждет в очереди.
+ */
+
+/**
+ * Очередь команд с последовательным выполнением, приоритетами, таймаутами и отменой.
+ * Используется устройством, чтобы команды не выполнялись одновременно
+ * (BlueZ отвечает `InProgress`, а MiIO путает идентификаторы сообщений).
+ */
+export default class Queue {
+	/**
+	 * Максимальное количество одновременно выполняемых задач.
+	 * @type {number}
+	 */
+	concurrency = 1;
+
+	/**
+	 * Задачи, ожидающие выполнения.
+	 * @type {QueueItem<any>[]}
+	 */
+	#items = [];
+
+	/**
+	 * Количество выполняющихся задач.
+	 * @type {number}
+	 */
+	#active = 0;
+
+	/**
+	 * @param {object} [options] Опции очереди.
+	 * @param {number} [options.concurrency=1] Максимальное количество одновременно выполняемых задач.
+	 */
+	constructor({ concurrency = 1 } = {}) {
+		this.concurrency = concurrency;
+	};
+
+	/**
+	 * Количество задач, ожидающих выполнения.
+	 * @type {number}
+	 */
+	get size() {
+		return this.#items.length;
+	};
+
+	/**
+	 * Количество выполняющихся задач.
+	 * @type {number}
+	 */
+	get pending() {
+		return this.#active;
+	};
+
+	/**
+	 * Добавляет задачу в очередь.
+	 * @template T
+	 * @param {(signal: AbortSignal) => Promise<T>} task Задача. Получает сигнал, который срабатывает при отмене или таймауте.
+	 * @param {QueueOptions} [options] Опции задачи.
+	 * @returns {Promise<T>} Результат задачи.
+	 * @throws {Error} Если задача отменена, превысила таймаут или завершилась с ошибкой.
+	 */
+	add(task, { priority = QUEUE_PRIORITY.normal, signal, timeout } = {}) {
+		return new Promise((resolve, reject) => {
+			if (signal?.aborted)
+				return reject(getAbortError(signal));
+			/** @type {QueueItem<T>} */
+			const item = { task, priority, signal, timeout, resolve, reject };
+			if (signal) {
+				item.onAbort = () => {
+					const index = this.#items.indexOf(item);
+					if (index !== -1) {
+						this.#items.splice(index, 1);
+						reject(getAbortError(signal));
+					}
+				};
+				signal.addEventListener('abort', item.onAbort, { once: true });
+			}
+			const index = this.#items.findIndex(queued => (queued.priority < priority));
+			this.#items.splice((index === -1) ? this.#items.length : index, 0, item);
+			this.#next();
+		});
+	};
+
+	/**
+	 * Отклоняет все задачи, ожидающие выполнения.
+	 * @param {Error} [reason] Причина отклонения.
+	 */
+	clear(reason = new Error('Queue cleared')) {
+		for (const item of this.#items.splice(0)) {
+			item.signal?.removeEventListener('abort', item.onAbort);
+			item.reject(reason);
+		}
+	};
+
+	/**
+	 * Запускает следующие задачи, если есть свободные слоты.
+	 */
+	#next() {
+		while ((this.#active < this.concurrency) && this.#items.length) {
+			const item = this.#items.shift();
+			item.signal?.removeEventListener('abort', item.onAbort);
+			this.#active++;
+			this.#run(item).finally(() => {
+				this.#active--;
+				this.#next();
+			});
+		}
+	};
+
+	/**
+	 * Выполняет задачу с учетом таймаута и сигнала отмены.
+	 * При отмене или таймауте вызывающая сторона получает ошибку сразу, а слот очереди освобождается
+	 * после завершения самой задачи, но не позже чем через `QUEUE_ABORT_GRACE` мс. Так зависшая задача
+	 * не блокирует очередь, а задача, реагирующая на сигнал, не пересекается со следующей.
+	 * @param {QueueItem<any>} item Задача.
+	 * @returns {Promise<void>}
+	 */
+	async #run({ task, signal, timeout, resolve, reject }) {
+		const cancel = createSignal({ signal, timeout });
+		const running = (async () => task(cancel.signal))();
+		abortable(running, cancel.signal).then(resolve, reject);
+		let timerId = null;
+		await Promise.race([
+			running.catch(() => {}),
+			new Promise(release => {
+				const onAbort = () => timerId = setTimeout(release, QUEUE_ABORT_GRACE);
+				if (cancel.signal.aborted)
+					onAbort();
+				else
+					cancel.signal.addEventListener('abort', onAbort, { once: true });
+			})
+		]);
+		clearTimeout(timerId);
+		cancel.clear();
+	};
+};
@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import path from 'path';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { expandPath, DEVICE_REGISTRY_FILE } from './paths.js';
+/** @import { XiaomiMiHome } from './index.js' */
+/** @import { DiscoveredDevice, Place } from './device.js' */
+
+/**
+ * Поля идентичности и подключения, которые реестр берет из обнаруженных устройств.
+ * Имя обрабатывается отдельно: имя из облака имеет приоритет над именем из рекламных пакетов Bluetooth.
+ */
+const FIELDS = /** @type {const} */ (['id', 'model', 'address', 'mac', 'token', 'bindkey', 'country']);
+
+/**
+ * Поля привязки устройства к дому и комнате из облака. Значение `null` означает, что привязки нет.
+ */
+const PLACE_FIELDS = /** @type {const} */ (['home', 'room']);
+
+/**
+ * Сведения о последнем обнаружении устройства через конкретный транспорт.
+ * @typedef {object} TransportState
+ * @property {number} lastSeen Время последнего обнаружения (Unix time в миллисекундах).
+ * @property {boolean} isOnline Находилось ли устройство в сети при последнем обнаружении.
+ */
+
+/**
+ * Запись реестра: одно физическое устройство, собранное из данных облака, MiIO и Bluetooth.
+ * @typedef {object} RegistryEntry
+ * @property {string} key Постоянный ключ записи в реестре.
+ * @property {string} [id] ID устройства в облаке Xiaomi (did).
+ * @property {string} [name] Имя устройства из облака (или из рекламных пакетов Bluetooth, если облако его не сообщило).
+ * @property {string} [alias] Имя, назначенное пользователем. Не перезаписывается при обнаружении.
+ * @property {string} [bleName] Имя из рекламных пакетов Bluetooth.
+ * @property {string} [model] Модель устройства.
+ * @property {string} [address] IP-адрес устройства.
+ * @property {string} [mac] MAC-адрес устройства (в верхнем регистре).
+ * @property {string} [token] Токен MiIO.
+ * @property {string} [bindkey] Ключ привязки BLE.
+ * @property {string} [country] Регион облака, в котором зарегистрировано устройство.
+ * @property {Place} [home] Дом Mi Home, к которому привязано устройство.
+ * @property {Place} [room] Комната Mi Home, в которой находится устройство.
+ * @property {Partial<Record<'cloud'|'miio'|'bluetooth', TransportState>>} transports Последнее обнаружение по каждому транспорту.
+ */
+
+/**
+ * Постоянный реестр устройств.
+ * Сопоставляет одно физическое устройство по ID облака, IP-адресу, MAC-адресу и имени Bluetooth,
+ * хранит время последнего обнаружения и доступность по каждому транспорту и имена, назначенные пользователем.
+ * Сохраняется в `registryFile` из конфигурации клиента (по умолчанию `DEVICE_REGISTRY_FILE`).
+ */
+export default class Registry {
+	/**
+	 * Экземпляр класса XiaomiMiHome.
+	 * @type {XiaomiMiHome}
+	 */
+	client = null;
+
+	/**
+	 * Записи реестра, где ключ - `key` записи.
+	 * @type {Map<string, RegistryEntry>}
+	 */
+	#entries = new Map();
+
+	/**
+	 * Промис загрузки реестра с диска.
+	 * @type {Promise<void>|null}
+	 */
+	#loadPromise = null;
+
+	/**
+	 * Цепочка операций записи, чтобы сохранения не перекрывались.
+	 * @type {Promise<void>}
+	 */
+	#savePromise = Promise.resolve();
+
+	/**
+	 * @param {XiaomiMiHome} client Экземпляр класса XiaomiMiHome.
+	 */
+	constructor(client) {
+		this.client = client;
+	};
+
+	/**
+	 * Путь к файлу реестра или `null`, если хранение на диске отключено (`registryFile: false`).
+	 * @type {string|null}
+	 */
+	get file() {
+		const file = this.client.config.registryFile;
+		if (file === false)
+			return null;
+		return expandPath(file || DEVICE_REGISTRY_FILE);
+	};
+
+	/**
+	 * Загружает реестр с диска. Повторные вызовы возвращают результат первой загрузки.
+	 * @returns {Promise<void>}
+	 */
+	async load() {
+		if (!this.#loadPromise)
+			this.#loadPromise = (async () => {
+				if (!this.file)
+					return;
+				try {
+					const { devices = [] } = JSON.parse(await readFile(this.file, 'utf-8'));
+					for (const entry of devices) {
+						if (entry?.key && !this.#entries.has(entry.key))
+							this.#entries.set(entry.key, { transports: {}, ...entry });
+					}
+					this.client.log('debug', `Loaded ${this.#entries.size} devices from registry ${this.file}`);
+				} catch (err) {
+					if (err.code !== 'ENOENT')
+						this.client.log('warn', `Device registry ${this.file} could not be read:`, err);
+				}
+			})();
+		return this.#loadPromise;
+	};
+
+	/**
+	 * Сохраняет реестр на диск.
+	 * Ошибки записи логируются и не прерывают работу.
+	 * @returns {Promise<void>}
+	 */
+	async save() {
+		this.#savePromise = this.#savePromise.then(async () => {
+			if (!this.file)
+				return;
+			try {
+				await mkdir(path.dirname(this.file), { recursive: true });
+				await writeFile(this.file, JSON.stringify({ devices: [...this.#entries.values()] }, null, 2));
+			} catch (err) {
+				this.client.log('warn', `Device registry ${this.file} could not be saved:`, err);
+			}
+		});
+		return this.#savePromise;
+	};
+
+	/**
+	 * Возвращает записи реестра.
+	 * @param {object} [options] Опции выборки.
+	 * @param {number} [options.since] Только устройства, обнаруженные хотя бы одним транспортом не раньше этого времени.
+	 * @returns {RegistryEntry[]} Копии записей.
+	 */
+	list({ since } = {}) {
+		return [...this.#entries.values()]
+			.filter(entry => !since || Object.values(entry.transports).some(({ lastSeen }) => (lastSeen >= since)))
+			.map(entry => structuredClone(entry));
+	};
+
+	/**
+	 * Находит запись по ключу, ID облака, MAC-адресу, IP-адресу, имени пользователя или имени устройства.
+	 * @param {string} ref Строка для поиска.
+	 * @returns {RegistryEntry|undefined} Копия записи.
+	 */
+	get(ref) {
+		const value = String(ref).trim();
+		const entries = [...this.#entries.values()];
+		const entry = entries.find(entry => [entry.key, entry.id, entry.mac, entry.address].includes(value) || (entry.mac === value.toUpperCase()))
+			|| entries.find(entry => [entry.alias, entry.name, entry.bleName].includes(value));
+		return entry && structuredClone(entry);
+	};
+
+	/**
+	 * Находит запись, соответствующую устройству.
+	 * @param {Partial<DiscoveredDevice> & { bleName?: string }} device Данные устройства.
+	 * @returns {RegistryEntry|undefined} Копия записи.
+	 */
+	find(device) {
+		const [entry] = this.#match(device);
+		return entry && structuredClone(entry);
+	};
+
+	/**
+	 * Регистрирует обнаружение устройства через транспорт.
+	 * Если данные относятся к нескольким записям (например, запись MiIO по ID и запись Bluetooth по MAC-адресу),
+	 * записи объединяются в одну. IP-адрес удаляется из других записей, которым он был назначен ранее.
+	 * @param {Omit<Partial<DiscoveredDevice>, 'home'|'room'> & { home?: Place|null, room?: Place|null }} device Данные обнаруженного устройства.
+	 *   `home` или `room`, равные `null`, удаляют привязку к дому или комнате.
+	 * @param {'cloud'|'miio'|'bluetooth'} transport Транспорт, через который устройство обнаружено.
+	 * @param {object} [options] Опции обнаружения.
+	 * @param {boolean} [options.isOnline=true] Находится ли устройство в сети.
+	 * @returns {RegistryEntry} Копия обновленной записи.
+	 */
+	update(device, transport, { isOnline = true } = {}) {
+		const query = {
+			...device,
+			mac: device.mac?.toUpperCase(),
+			...((transport === 'bluetooth') && { bleName: device.name })
+		};
+		const [entry = /** @type {RegistryEntry} */ ({ key: crypto.randomUUID(), transports: {} }), ...duplicates] = this.#match(query);
+		for (const duplicate of duplicates) {
+			this.client.log('debug', `Merging registry entry ${duplicate.key} into ${entry.key}`);
+			for (const key in duplicate) {
+				if ((key !== 'transports') && (entry[key] === undefined))
+					entry[key] = duplicate[key];
+			}
+			for (const [type, state] of Object.entries(duplicate.transports)) {
+				if (!entry.transports[type] || (entry.transports[type].lastSeen < state.lastSeen))
+					entry.transports[type] = state;
+			}
+			this.#entries.delete(duplicate.key);
+		}
+		for (const field of FIELDS) {
+			if ((query[field] !== undefined) && (query[field] !== ''))
+				entry[field] = String(query[field]);
+		}
+		for (const field of PLACE_FIELDS) {
+			if (query[field] === null)
+				delete entry[field];
+			else if (query[field])
+				entry[field] = { id: query[field].id, name: query[field].name };
+		}
+		if (query.bleName)
+			entry.bleName = query.bleName;
+		if (query.name && ((transport !== 'bluetooth') || !entry.name))
+			entry.name = query.name;
+		entry.transports[transport] = { lastSeen: Date.now(), isOnline: !!isOnline };
+		this.#entries.set(entry.key, entry);
+		if (entry.address)
+			for (const other of this.#entries.values()) {
+				if ((other !== entry) && (other.address === entry.address))
+					delete other.address;
+			}
+		return structuredClone(entry);
+	};
+
+	/**
+	 * Назначает устройству имя пользователя. Пустое имя удаляет назначенное имя.
+	 * @param {string|Partial<DiscoveredDevice>} device Строка для поиска (см. `get`) или данные устройства.
+	 * @param {string} [alias] Новое имя.
+	 * @returns {RegistryEntry} Копия обновленной записи.
+	 * @throws {Error} Если устройство не найдено в реестре.
+	 */
+	setName(device, alias) {
+		const found = (typeof device === 'string') ? this.get(device) : this.find(device);
+		if (!found)
+			throw new Error(`Device ${(typeof device === 'string') ? `"${device}" ` : ''}not found in registry`);
+		const entry = this.#entries.get(found.key);
+		if (alias)
+			entry.alias = alias;
+		else
+			delete entry.alias;
+		return structuredClone(entry);
+	};
+
+	/**
+	 * Удаляет устройство из реестра.
+	 * @param {string} key Ключ записи.
+	 * @returns {boolean} `true`, если запись была удалена.
+	 */
+	remove(key) {
+		return this.#entries.delete(key);
+	};
+
+	/**
+	 * Находит записи, соответствующие устройству, в порядке надежности совпадения:
+	 * ID облака, MAC-адрес, IP-адрес, имя Bluetooth. Совпадения по IP-адресу и имени
+	 * не учитываются, если у записи другой ID или MAC-адрес.
+	 * @param {Partial<DiscoveredDevice> & { bleName?: string }} device Данные устройства.
+	 * @returns {RegistryEntry[]} Найденные записи без повторов.
+	 */
+	#match({ id, mac, address, bleName }) {
+		id = id && String(id);
+		mac = mac?.toUpperCase();
+		const entries = [...this.#entries.values()];
+		const conflicts = (/** @type {RegistryEntry} */ entry) => (id && entry.id && (entry.id !== id)) || (mac && entry.mac && (entry.mac !== mac));
+		return [...new Set([
+			...entries.filter(entry => id && (entry.id === id)),
+			...entries.filter(entry => mac && (entry.mac === mac) && !conflicts(entry)),
+			...entries.filter(entry => address && (entry.address === address) && !conflicts(entry)),
+			...entries.filter(entry => bleName && !mac && (entry.bleName === bleName) && !conflicts(entry))
+		])];
+	};
+
+	/**
+	 * Преобразует запись реестра в конфигурацию устройства.
+	 * Имя пользователя заменяет имя устройства, доступность берется из последнего обнаружения.
+	 * @param {RegistryEntry} entry Запись реестра.
+	 * @returns {DiscoveredDevice} Конфигурация устройства.
+	 */
+	static toConfig({ key, alias, bleName, transports, ...fields }) {
+		const [last] = Object.values(transports || {}).sort((a, b) => (b.lastSeen - a.lastSeen));
+		return {
+			...fields,
+			...(alias && { name: alias }),
+			...(last && { isOnline: last.isOnline })
+		};
+	};
+};
@@ -1 +0,0 @@
-declare module 'mijia-io';